@@ -0,0 +1,72 @@
+/**
+ * Compares the throughput of `validates()` with compiled validators.
+ *
+ * Usage: `npm run bench` or `node benchmark/compile.js [records]`
+ */
+var co = require('co');
+var Validator = require('../src/validator');
+
+var count = Number(process.argv[2]) || 20000;
+
+var validator = new Validator();
+validator.rule('id', 'integer');
+validator.rule('email', 'email');
+validator.rule('name', 'not:empty|lengthBetween:2,50');
+validator.rule('status', 'inList:draft,published,archived');
+validator.rule('tags.*', { lengthMax: { length: 20, required: false } });
+validator.rule('address.zip', { pattern: { pattern: /^[0-9]{5}$/ } });
+
+var records = [];
+for (var i = 0; i < count; i++) {
+  records.push({
+    id: String(i),
+    email: 'user' + i + '@example.com',
+    name: 'User ' + i,
+    status: i % 10 ? 'published' : 'unknown',
+    tags: ['news', 'blog'],
+    address: { zip: '30700' }
+  });
+}
+
+function elapsed(start) {
+  var diff = process.hrtime(start);
+  return diff[0] * 1e3 + diff[1] / 1e6;
+}
+
+function report(label, ms, invalid) {
+  var rate = Math.round(count / ms * 1000);
+  console.log(label + ': ' + ms.toFixed(1) + 'ms (' + rate + ' records/s, ' + invalid + ' invalid)');
+  return ms;
+}
+
+co(function*() {
+  console.log('Validating ' + count + ' records\n');
+
+  var invalid = 0;
+  var start = process.hrtime();
+  for (var record of records) {
+    invalid += (yield validator.validates(record)) ? 0 : 1;
+  }
+  var reference = report('validates()             ', elapsed(start), invalid);
+
+  var validate = validator.compile();
+
+  invalid = 0;
+  start = process.hrtime();
+  for (var record of records) {
+    invalid += (yield validate(record)).valid ? 0 : 1;
+  }
+  var compiled = report('compile()               ', elapsed(start), invalid);
+
+  invalid = 0;
+  start = process.hrtime();
+  for (var record of records) {
+    invalid += validate.sync(record).valid ? 0 : 1;
+  }
+  var sync = report('compile() + sync        ', elapsed(start), invalid);
+
+  console.log('\nSpeedup: ' + (reference / compiled).toFixed(2) + 'x (async), ' + (reference / sync).toFixed(2) + 'x (sync)');
+}).catch(function(e) {
+  console.error(e);
+  process.exit(1);
+});
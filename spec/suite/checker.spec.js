@@ -7,6 +7,81 @@ describe("Checker", function() {
     Checker.reset();
   });
 
+  describe(".constructor()", function() {
+
+    it("inherits from the default registry", function() {
+
+      var checker = new Checker();
+      expect(checker.parent()).toBe(Checker.instance());
+      expect(checker.has('email')).toBe(true);
+      expect(checker.get('email')).toBe(Checker.get('email'));
+      expect(checker.message('email')).toBe('is not a valid email address');
+      expect(checker.implicit('requiredWith')).toBe(true);
+
+    });
+
+    it("creates root registries with the built-in handlers", function() {
+
+      var checker = new Checker({ parent: null });
+      Checker.reset(true);
+
+      expect(checker.parent()).toBe(null);
+      expect(checker.has('email')).toBe(true);
+      expect(checker.message('email')).toBe('is not a valid email address');
+      expect(checker.implicit('requiredWith')).toBe(true);
+
+    });
+
+    it("keeps its definitions local", function(done) {
+
+      co(function*() {
+        var checker = new Checker();
+        checker.set('zeroToNine', /^[0-9]$/);
+        checker.set('email', /@/);
+        checker.messages({ zeroToNine: 'must be a digit' });
+        checker.implicit('requiredWith', false);
+
+        expect(checker.handlers()).toContainKeys('zeroToNine', 'email', 'url');
+        expect(yield checker.is('zeroToNine', '5')).toBe(true);
+        expect(yield checker.is('email', 'a@b')).toBe(true);
+        expect(checker.message('zeroToNine')).toBe('must be a digit');
+        expect(checker.message('url')).toBe('not a URL');
+        expect(checker.message('unexisting')).toBe('is invalid');
+        expect(checker.implicit('requiredWith')).toBe(false);
+
+        expect(Checker.has('zeroToNine')).toBe(false);
+        expect(yield Checker.is('email', 'a@b')).toBe(false);
+        expect(Checker.message('zeroToNine')).toBe('is invalid');
+        expect(Checker.implicit('requiredWith')).toBe(true);
+        done();
+      });
+
+    });
+
+    it("sees the changes of its parent", function() {
+
+      var checker = new Checker();
+      Checker.set('zeroToNine', /^[0-9]$/);
+
+      expect(checker.has('zeroToNine')).toBe(true);
+
+    });
+
+    it("only resets its local definitions", function() {
+
+      var checker = new Checker();
+      checker.set('zeroToNine', /^[0-9]$/);
+      checker.messages({ email: 'invalid email' });
+      checker.reset();
+
+      expect(checker.has('zeroToNine')).toBe(false);
+      expect(checker.has('email')).toBe(true);
+      expect(checker.message('email')).toBe('is not a valid email address');
+
+    });
+
+  });
+
   describe(".set()", function() {
 
     it("adds some local handlers", function() {
@@ -98,6 +173,7 @@ describe("Checker", function() {
         expect(yield Checker.is('accepted', 'yes')).toBe(true);
         expect(yield Checker.is('accepted', 'no')).toBe(true);
         expect(yield Checker.is('accepted', '')).toBe(true);
+        expect(yield Checker.is('accepted', 'Yes')).toBe(true);
 
         expect(yield Checker.is('accepted', '11')).toBe(false);
         expect(yield Checker.is('accepted', '-1')).toBe(false);
@@ -572,6 +648,61 @@ describe("Checker", function() {
 
     });
 
+    it("checks values are equals using path references", function(done) {
+
+      co(function*() {
+        var data = { password: { value: 'abcdef' }, items: [{ start: 1 }, { start: 2, end: 2 }] };
+
+        expect(yield Checker.is('equalTo', 'abcdef', { key: 'password.value', data: data })).toBe(true);
+        expect(yield Checker.is('equalTo', 2, { key: 'items.*.start', path: 'items.1.end', data: data })).toBe(true);
+        expect(yield Checker.is('equalTo', 2, { key: '$sibling.start', path: 'items.1.end', data: data })).toBe(true);
+        expect(yield Checker.is('equalTo', 2, { key: '$sibling.start', path: 'items.0.end', data: data })).toBe(false);
+        done();
+      });
+
+    });
+
+    it("sets the resolved key as parameter", function() {
+
+      var params = {};
+      Checker.checkSync(1, Checker.get('equalTo'), { key: '$sibling.start', path: 'items.1.end', data: {} }, params);
+      expect(params).toEqual({ key: 'items.1.start' });
+
+    });
+
+    it("compares values to other fields", function() {
+
+      var data = { min: 5, date: new Date(2020, 1, 1), name: 'b' };
+      var checks = {
+        gt: [[6, true], [5, false], ['10', true]],
+        gte: [[5, true], ['5', true], [4, false]],
+        lt: [[4, true], [5, false], ['10', false]],
+        lte: [[5, true], [6, false]]
+      };
+      for (var name in checks) {
+        for (var check of checks[name]) {
+          expect(Checker.isSync(name, check[0], { key: 'min', data: data })).toBe(check[1]);
+        }
+      }
+      expect(Checker.isSync('gt', new Date(2020, 1, 2), { key: 'date', data: data })).toBe(true);
+      expect(Checker.isSync('lt', 'a', { key: 'name', data: data })).toBe(true);
+      expect(Checker.isSync('gt', 5, { key: 'max', data: data })).toBe(false);
+      expect(Checker.isSync('gt', 5, { key: 'max', skipNullKey: true, data: data })).toBe(true);
+
+    });
+
+    it("checks values are the same or different", function() {
+
+      var data = { tags: ['a', 'b'], name: 'willy' };
+
+      expect(Checker.isSync('sameAs', ['a', 'b'], { key: 'tags', data: data })).toBe(true);
+      expect(Checker.isSync('sameAs', ['a'], { key: 'tags', data: data })).toBe(false);
+      expect(Checker.isSync('different', 'johnny', { key: 'name', data: data })).toBe(true);
+      expect(Checker.isSync('different', 'willy', { key: 'name', data: data })).toBe(false);
+      expect(Checker.isSync('different', ['a', 'b'], { key: 'tags', data: data })).toBe(false);
+
+    });
+
     it("checks emails values", function(done) {
 
       co(function*() {
@@ -909,6 +1040,20 @@ describe("Checker", function() {
 
     });
 
+    it("checks values matching a pattern", function(done) {
+
+      co(function*() {
+        expect(yield Checker.is('pattern', 'abc123', { pattern: /^[a-z]+[0-9]+$/ })).toBe(true);
+        expect(yield Checker.is('pattern', 'abc123', { pattern: '^[a-z]+[0-9]+$' })).toBe(true);
+
+        expect(yield Checker.is('pattern', '123abc', { pattern: '^[a-z]+[0-9]+$' })).toBe(false);
+        expect(yield Checker.is('pattern', 123, { pattern: '^[0-9]+$' })).toBe(false);
+        expect(yield Checker.is('pattern', 'abc123')).toBe(false);
+        done();
+      });
+
+    });
+
     it("checks regexp values", function(done) {
 
       co(function*() {
@@ -922,6 +1067,116 @@ describe("Checker", function() {
 
     });
 
+    it("checks required values", function(done) {
+
+      co(function*() {
+        expect(yield Checker.is('required', '')).toBe(true);
+        expect(yield Checker.is('required', null)).toBe(true);
+        expect(yield Checker.is('required', 0)).toBe(true);
+
+        expect(yield Checker.is('required', undefined)).toBe(false);
+        done();
+      });
+
+    });
+
+    it("checks values required if another field is equal to a value", function(done) {
+
+      co(function*() {
+        var options = { key: 'account.type', value: 'business', data: { account: { type: 'business' } } };
+        expect(yield Checker.is('requiredIf', 'ACME', options)).toBe(true);
+        expect(yield Checker.is('requiredIf', '', options)).toBe(false);
+        expect(yield Checker.is('requiredIf', undefined, options)).toBe(false);
+
+        options = { key: 'account.type', value: ['business', 'ngo'], data: { account: { type: 'personal' } } };
+        expect(yield Checker.is('requiredIf', undefined, options)).toBe(true);
+
+        options = { key: 'items.*.type', value: 'custom', path: 'items.1.label', data: { items: [{}, { type: 'custom' }] } };
+        expect(yield Checker.is('requiredIf', undefined, options)).toBe(false);
+        done();
+      });
+
+    });
+
+    it("checks values required unless another field is equal to a value", function(done) {
+
+      co(function*() {
+        var options = { key: 'country', value: 'US', data: { country: 'FR' } };
+        expect(yield Checker.is('requiredUnless', 'FR123', options)).toBe(true);
+        expect(yield Checker.is('requiredUnless', null, options)).toBe(false);
+
+        options = { key: 'country', value: 'US', data: { country: 'US' } };
+        expect(yield Checker.is('requiredUnless', null, options)).toBe(true);
+        done();
+      });
+
+    });
+
+    it("checks values present with other fields", function(done) {
+
+      co(function*() {
+        var options = { fields: ['phone', 'address.city'], data: { address: { city: 'Paris' } } };
+        expect(yield Checker.is('presentWith', 'Willy', options)).toBe(true);
+        expect(yield Checker.is('presentWith', '', options)).toBe(true);
+        expect(yield Checker.is('presentWith', null, options)).toBe(true);
+        expect(yield Checker.is('presentWith', undefined, options)).toBe(false);
+
+        options = { fields: 'phone', data: { phone: '' } };
+        expect(yield Checker.is('presentWith', undefined, options)).toBe(true);
+
+        options = { fields: '$sibling.qty', path: 'items.1.sku', data: { items: [{ qty: 1 }, { qty: 2 }] } };
+        expect(yield Checker.is('presentWith', undefined, options)).toBe(false);
+        done();
+      });
+
+    });
+
+    it("checks values required with other fields", function(done) {
+
+      co(function*() {
+        var options = { fields: ['phone', 'address.city'], data: { address: { city: 'Paris' } } };
+        expect(yield Checker.is('requiredWith', 'Willy', options)).toBe(true);
+        expect(yield Checker.is('requiredWith', ' ', options)).toBe(false);
+        expect(yield Checker.is('requiredWith', [], options)).toBe(false);
+
+        options = { fields: 'phone', data: { phone: '' } };
+        expect(yield Checker.is('requiredWith', undefined, options)).toBe(true);
+
+        options = { fields: '$sibling.qty', path: 'items.1.sku', data: { items: [{ qty: 1 }, { qty: 2 }] } };
+        expect(yield Checker.is('requiredWith', undefined, options)).toBe(false);
+        done();
+      });
+
+    });
+
+    it("checks values required with all other fields", function(done) {
+
+      co(function*() {
+        var options = { fields: ['firstName', 'lastName'], data: { firstName: 'Willy', lastName: 'Boy' } };
+        expect(yield Checker.is('requiredWithAll', 'Mr', options)).toBe(true);
+        expect(yield Checker.is('requiredWithAll', undefined, options)).toBe(false);
+
+        options = { fields: ['firstName', 'lastName'], data: { firstName: 'Willy' } };
+        expect(yield Checker.is('requiredWithAll', undefined, options)).toBe(true);
+        done();
+      });
+
+    });
+
+    it("checks values required without other fields", function(done) {
+
+      co(function*() {
+        var options = { fields: ['email', 'phone'], data: { email: 'willy@boy.com' } };
+        expect(yield Checker.is('requiredWithout', '0123456789', options)).toBe(true);
+        expect(yield Checker.is('requiredWithout', undefined, options)).toBe(false);
+
+        options = { fields: ['email', 'phone'], data: { email: 'willy@boy.com', phone: '0123456789' } };
+        expect(yield Checker.is('requiredWithout', undefined, options)).toBe(true);
+        done();
+      });
+
+    });
+
     it("checks time values", function(done) {
 
       co(function*() {
@@ -935,6 +1190,28 @@ describe("Checker", function() {
       });
     });
 
+    it("checks type values", function(done) {
+
+      co(function*() {
+        expect(yield Checker.is('type', 'abc', { type: 'string' })).toBe(true);
+        expect(yield Checker.is('type', 1.5, { type: 'number' })).toBe(true);
+        expect(yield Checker.is('type', 1, { type: 'integer' })).toBe(true);
+        expect(yield Checker.is('type', false, { type: 'boolean' })).toBe(true);
+        expect(yield Checker.is('type', {}, { type: 'object' })).toBe(true);
+        expect(yield Checker.is('type', [], { type: 'array' })).toBe(true);
+        expect(yield Checker.is('type', null, { type: 'null' })).toBe(true);
+        expect(yield Checker.is('type', null, { type: ['string', 'null'] })).toBe(true);
+
+        expect(yield Checker.is('type', '1', { type: 'number' })).toBe(false);
+        expect(yield Checker.is('type', 1.5, { type: 'integer' })).toBe(false);
+        expect(yield Checker.is('type', [], { type: 'object' })).toBe(false);
+        expect(yield Checker.is('type', null, { type: 'object' })).toBe(false);
+        expect(yield Checker.is('type', 1, { type: ['string', 'null'] })).toBe(false);
+        done();
+      });
+
+    });
+
     it("checks url values", function(done) {
 
       co(function*() {
@@ -982,6 +1259,156 @@ describe("Checker", function() {
 
   });
 
+  describe(".isSync()", function() {
+
+    it("checks values synchronously", function() {
+
+      expect(Checker.isSync('email', 'willy@boy.com')).toBe(true);
+      expect(Checker.isSync('not:email', 'willy@boy.com')).toBe(false);
+      expect(Checker.isSync('creditCard', '4111111111111111', { deep: true })).toBe(true);
+      expect(Checker.isSync('alphaNumeric', 'abc')).toBe(true);
+      expect(Checker.isSync('decimal', '1.5')).toBe(true);
+
+      var params = {};
+      expect(Checker.isSync('money', '3.25€', {}, params)).toBe(true);
+      expect(params.format).toBe('right');
+
+    });
+
+    it("throws an exception for asynchronous handlers", function() {
+
+      Checker.set('remote', function(value) {
+        return Promise.resolve(true);
+      });
+
+      var closure = function() {
+        Checker.isSync('remote', 'abc');
+      };
+      expect(closure).toThrow(new Error("Unable to run synchronously, an asynchronous handler returned a promise."));
+
+    });
+
+  });
+
+  describe(".checkSync()", function() {
+
+    it("checks values synchronously", function() {
+
+      expect(Checker.checkSync('12', { digits: /^[0-9]+$/, upper: /^[A-Z]+$/ }, { format: 'upper' })).toBe(false);
+      expect(Checker.checkSync('12', function(value) { return value === '12'; })).toBe(true);
+
+    });
+
+  });
+
+  describe(".check()", function() {
+
+    beforeEach(function() {
+      this.handlers = {
+        digits: /^[0-9]+$/,
+        short: /^.{1,3}$/,
+        upper: /^[A-Z]+$/
+      };
+    });
+
+    it("passes if any format passes by default", function(done) {
+
+      co(function*() {
+        var params = {};
+        expect(yield Checker.check('12', this.handlers, {}, params)).toBe(true);
+        expect(params.format).toBe('digits');
+
+        params = {};
+        expect(yield Checker.check('ABCD', this.handlers, { format: 'any' }, params)).toBe(true);
+        expect(params.format).toBe('upper');
+
+        expect(yield Checker.check('abcd', this.handlers)).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+    it("requires all formats to pass with `'all'`", function(done) {
+
+      co(function*() {
+        var handlers = { digits: /^[0-9]+$/, short: /^.{1,3}$/ };
+        var params = {};
+        expect(yield Checker.check('12', handlers, { format: 'all' }, params)).toBe(true);
+        expect(params.format).toEqual(['digits', 'short']);
+
+        expect(yield Checker.check('1234', handlers, { format: 'all' })).toBe(false);
+        expect(yield Checker.check('12', this.handlers, { format: 'all' })).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+    it("restricts matching to named formats", function(done) {
+
+      co(function*() {
+        var params = {};
+        expect(yield Checker.check('12', this.handlers, { format: 'short' }, params)).toBe(true);
+        expect(params.format).toBe('short');
+
+        params = {};
+        expect(yield Checker.check('AB', this.handlers, { format: ['digits', 'upper'] }, params)).toBe(true);
+        expect(params.format).toBe('upper');
+
+        expect(yield Checker.check('ABCD', this.handlers, { format: 'short' })).toBe(false);
+        expect(yield Checker.check('12', this.handlers, { format: 'unexisting' })).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+    it("supports `'check'` as an alias", function(done) {
+
+      co(function*() {
+        expect(yield Checker.check('ABCD', this.handlers, { check: 'short' })).toBe(false);
+        expect(yield Checker.check('ABCD', this.handlers, { format: 'any', check: 'upper' })).toBe(true);
+        done();
+      }.bind(this));
+
+    });
+
+    it("reports the matching format of built-in handlers", function(done) {
+
+      co(function*() {
+        var params = {};
+        expect(yield Checker.is('creditCard', '4111111111111111', {}, params)).toBe(true);
+        expect(params.format).toBe('visa');
+
+        params = {};
+        expect(yield Checker.is('money', '$3.25', {}, params)).toBe(true);
+        expect(params.format).toBe('left');
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".implicit()", function() {
+
+    it("checks implicit validation handlers", function() {
+
+      expect(Checker.implicit('requiredWith')).toBe(true);
+      expect(Checker.implicit('email')).toBe(false);
+
+    });
+
+    it("sets implicit validation handlers", function() {
+
+      expect(Checker.implicit('email', true)).toBe(true);
+      expect(Checker.implicit('email')).toBe(true);
+
+      expect(Checker.implicit('email', false)).toBe(false);
+      expect(Checker.implicit('email')).toBe(false);
+
+    });
+
+  });
+
   describe(".message()", function() {
 
     it("gets a error message", function() {
@@ -998,6 +1425,163 @@ describe("Checker", function() {
     });
   });
 
+  describe(".signature()", function() {
+
+    it("gets/sets the positional option names of handlers", function() {
+
+      expect(Checker.signature('lengthBetween')).toEqual(['min', 'max']);
+      expect(Checker.signature('inList')).toEqual(['...list']);
+      expect(Checker.signature('email')).toBe(undefined);
+
+      var checker = new Checker();
+      checker.signature('email', ['check']);
+
+      expect(checker.signature('email')).toEqual(['check']);
+      expect(checker.signature('lengthBetween')).toEqual(['min', 'max']);
+      expect(Checker.signature('email')).toBe(undefined);
+
+    });
+
+  });
+
+  describe(".options()", function() {
+
+    it("gets/sets the declared options of handlers", function() {
+
+      expect(Checker.options('lengthBetween')).toEqual({ min: 'number', max: 'number' });
+      expect(Checker.options('email')).toEqual({});
+
+      var checker = new Checker();
+      checker.set('zeroToNine', /^[0-9]$/);
+      checker.options('zeroToNine', { strict: 'boolean?' });
+
+      expect(checker.options('zeroToNine')).toEqual({ strict: 'boolean?' });
+      expect(checker.options('lengthBetween')).toEqual({ min: 'number', max: 'number' });
+      expect(Checker.options('zeroToNine')).toBe(undefined);
+
+    });
+
+    it("removes the declarations of replaced handlers", function() {
+
+      var checker = new Checker();
+      checker.set('lengthMin', function() { return true; });
+
+      expect(checker.options('lengthMin')).toBe(undefined);
+      expect(checker.signature('lengthMin')).toBe(undefined);
+      expect(Checker.options('lengthMin')).toEqual({ length: 'number' });
+
+      Checker.set('lengthMax', function() { return true; });
+      expect(Checker.options('lengthMax')).toBe(undefined);
+      expect(Checker.signature('lengthMax')).toBe(undefined);
+
+      Checker.use({ formats: { phone: { fr: /^0[1-9][0-9]{8}$/ } } });
+      expect(Checker.options('phone')).toEqual({});
+
+    });
+
+  });
+
+  describe(".use()", function() {
+
+    it("registers namespaced handlers, messages and implicit flags", function(done) {
+
+      co(function*() {
+        Checker.use({
+          namespace: 'fr',
+          handlers: {
+            siret: /^[0-9]{14}$/,
+            nir: function(value) { return value !== undefined; }
+          },
+          messages: {
+            siret: 'must be a valid SIRET number',
+            'not:siret': 'must not be a SIRET number'
+          },
+          implicit: ['nir']
+        });
+
+        expect(Checker.has('fr:siret')).toBe(true);
+        expect(Checker.has('siret')).toBe(false);
+        expect(yield Checker.is('fr:siret', '73282932000074')).toBe(true);
+        expect(yield Checker.is('not:fr:siret', '732829')).toBe(true);
+        expect(Checker.message('fr:siret')).toBe('must be a valid SIRET number');
+        expect(Checker.message('not:fr:siret')).toBe('must not be a SIRET number');
+        expect(Checker.implicit('fr:nir')).toBe(true);
+        done();
+      });
+
+    });
+
+    it("registers extra formats", function(done) {
+
+      co(function*() {
+        Checker.use({
+          namespace: 'fr',
+          formats: {
+            money: { euro: /^[0-9]+(,[0-9]{2})? ?€$/ },
+            phone: { fr: /^0[1-9][0-9]{8}$/ }
+          }
+        });
+
+        expect(Checker.get('money')).toContainKeys('left', 'right', 'euro');
+        expect(yield Checker.is('money', '12,50 €', { check: 'euro' })).toBe(true);
+        expect(yield Checker.is('phone', '0612345678', { check: 'fr' })).toBe(true);
+        expect(yield Checker.is('phone', '+33612345678', { check: 'fr' })).toBe(false);
+        expect(yield Checker.is('phone', '+33612345678')).toBe(true);
+        done();
+      });
+
+    });
+
+    it("throws an exception on conflicts", function() {
+
+      var closure = function() {
+        Checker.use({ handlers: { email: /@/ } });
+      };
+      expect(closure).toThrow(new Error("Conflicting `email` validation handler."));
+
+      closure = function() {
+        Checker.use({ formats: { money: { left: /^\$/ } } });
+      };
+      expect(closure).toThrow(new Error("Conflicting `left` format for `money` validation handler."));
+
+      Checker.use({ namespace: 'fr', handlers: { siret: /^[0-9]{14}$/ } });
+      closure = function() {
+        Checker.use({ namespace: 'fr', handlers: { siret: /^[0-9]{9}$/ } });
+      };
+      expect(closure).toThrow(new Error("Conflicting `fr:siret` validation handler."));
+      expect(Checker.get('fr:siret')).toEqual(/^[0-9]{14}$/);
+
+    });
+
+    it("allows overrides", function() {
+
+      Checker.use({ handlers: { email: /@/ } }, { override: true });
+      expect(Checker.get('email')).toEqual(/@/);
+
+    });
+
+    it("allows to override the namespace", function() {
+
+      Checker.use({ namespace: 'fr', handlers: { siret: /^[0-9]{14}$/ } }, { namespace: 'fiscal' });
+      expect(Checker.has('fiscal:siret')).toBe(true);
+      expect(Checker.has('fr:siret')).toBe(false);
+
+    });
+
+    it("calls function plugins with the registry", function() {
+
+      var checker = new Checker();
+      var plugin = jasmine.createSpy('plugin').and.returnValue({ namespace: 'fr', handlers: { siret: /^[0-9]{14}$/ } });
+
+      expect(checker.use(plugin, { override: true })).toBe(checker);
+      expect(plugin).toHaveBeenCalledWith(checker, { override: true });
+      expect(checker.has('fr:siret')).toBe(true);
+      expect(Checker.has('fr:siret')).toBe(false);
+
+    });
+
+  });
+
   describe(".messages()", function() {
 
     beforeEach(function() {
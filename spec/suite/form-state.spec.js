@@ -0,0 +1,290 @@
+var co = require('co');
+var Validator = require('../../src/validator');
+var FormState = require('../../src/form-state');
+
+var clock = function() {
+  var now = 0;
+  var timers = [];
+  return {
+    setTimeout: function(callback, delay) {
+      var timer = { callback: callback, at: now + (delay || 0) };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: function(timer) {
+      var index = timers.indexOf(timer);
+      if (index !== -1) {
+        timers.splice(index, 1);
+      }
+    },
+    tick: function(delay) {
+      now += delay;
+      var due = timers.filter(function(timer) {
+        return timer.at <= now;
+      });
+      for (var timer of due) {
+        this.clearTimeout(timer);
+        timer.callback();
+      }
+    }
+  };
+};
+
+var defer = function() {
+  var deferred = {};
+  deferred.promise = new Promise(function(resolve) {
+    deferred.resolve = resolve;
+  });
+  return deferred;
+};
+
+var settle = function(form) {
+  return new Promise(function(resolve) {
+    var unsubscribe = form.subscribe(function() {
+      if (!form.pending()) {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+};
+
+describe("FormState", function() {
+
+  beforeEach(function() {
+    this.timers = { setTimeout: global.setTimeout, clearTimeout: global.clearTimeout };
+    this.clock = clock();
+    global.setTimeout = this.clock.setTimeout;
+    global.clearTimeout = this.clock.clearTimeout;
+
+    this.checked = [];
+    this.lookup = { response: Promise.resolve() };
+    this.validator = new Validator();
+    this.validator.set('unique', function(value) {
+      this.checked.push(value);
+      return this.lookup.response.then(function() {
+        return value !== 'taken';
+      });
+    }.bind(this));
+    this.validator.rule('username', 'unique');
+    this.validator.rule('email', 'email');
+    this.validator.rule('address.city', 'not:empty');
+
+    this.form = new FormState(this.validator, {
+      values: { username: 'willy', email: 'willy@boy.com' },
+      debounce: 20
+    });
+  });
+
+  afterEach(function() {
+    global.setTimeout = this.timers.setTimeout;
+    global.clearTimeout = this.timers.clearTimeout;
+  });
+
+  describe(".constructor()", function() {
+
+    it("initializes the state", function() {
+
+      expect(this.form.values()).toEqual({ username: 'willy', email: 'willy@boy.com' });
+      expect(this.form.field('username')).toEqual({
+        value: 'willy',
+        dirty: false,
+        touched: false,
+        pending: false,
+        errors: []
+      });
+      expect(this.form.dirty()).toBe(false);
+      expect(this.form.valid()).toBe(true);
+
+    });
+
+  });
+
+  describe(".set()", function() {
+
+    it("sets values and tracks dirty fields", function() {
+
+      this.form.set('email', 'willy@boy.fr');
+      this.form.set('address.city', 'Paris');
+
+      expect(this.form.value('address.city')).toBe('Paris');
+      expect(this.form.dirty('email')).toBe(true);
+      expect(this.form.dirty('username')).toBe(false);
+      expect(this.form.dirty()).toBe(true);
+
+      this.form.set('email', 'willy@boy.com');
+      expect(this.form.dirty('email')).toBe(false);
+
+    });
+
+    it("validates the field once debounced", function(done) {
+
+      co(function*() {
+        var lookup = defer();
+        this.lookup.response = lookup.promise;
+        this.form.set('username', 'tak');
+        this.clock.tick(10);
+        this.form.set('username', 'take');
+        this.clock.tick(10);
+        this.form.set('username', 'taken');
+        this.clock.tick(19);
+
+        expect(this.form.pending('username')).toBe(false);
+        this.clock.tick(1);
+        expect(this.form.pending('username')).toBe(true);
+        expect(this.form.pending()).toBe(true);
+
+        var settled = settle(this.form);
+        lookup.resolve();
+        yield settled;
+
+        expect(this.checked).toEqual(['taken']);
+        expect(this.form.pending('username')).toBe(false);
+        expect(this.form.errors('username')).toEqual(['is invalid']);
+        expect(this.form.errors()).toEqual({ username: ['is invalid'] });
+        expect(this.form.valid()).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+  });
+
+  describe(".touch()", function() {
+
+    it("marks fields as touched and validates them right away", function(done) {
+
+      co(function*() {
+        this.form.set('email', 'willy');
+        var valid = yield this.form.touch('email');
+
+        expect(valid).toBe(false);
+        expect(this.form.touched('email')).toBe(true);
+        expect(this.form.touched()).toBe(true);
+        expect(this.form.errors('email')).toEqual(['is not a valid email address']);
+
+        this.clock.tick(20);
+        expect(this.form.pending()).toBe(false);
+        expect(this.checked).toEqual([]);
+        done();
+      }.bind(this));
+
+    });
+
+    it("supersedes running validations of the same field", function(done) {
+
+      co(function*() {
+        this.form.set('username', 'taken');
+        var first = this.form.touch('username');
+        this.form.set('username', 'johnny');
+        var second = this.form.touch('username');
+
+        expect(yield first).toBe(true);
+        expect(yield second).toBe(true);
+        expect(this.checked).toEqual(['taken', 'johnny']);
+        expect(this.form.errors()).toEqual({});
+        done();
+      }.bind(this));
+
+    });
+
+  });
+
+  describe(".validate()", function() {
+
+    it("validates the whole form", function(done) {
+
+      co(function*() {
+        this.form.set('username', 'taken');
+        var valid = yield this.form.validate();
+
+        expect(valid).toBe(false);
+        expect(this.form.errors()).toEqual({
+          username: ['is invalid'],
+          'address.city': ['is required']
+        });
+        expect(this.form.pending()).toBe(false);
+
+        this.clock.tick(20);
+        expect(this.form.pending()).toBe(false);
+        expect(this.checked).toEqual(['taken']);
+        done();
+      }.bind(this));
+
+    });
+
+    it("validates a snapshot of the values", function(done) {
+
+      co(function*() {
+        var form = new FormState(this.validator, {
+          values: { username: 'taken', email: 'willy@boy.com' }
+        });
+        var valid = form.validate();
+        form.set('email', 'willy');
+
+        expect(yield valid).toBe(false);
+        expect(form.errors('username')).toEqual(['is invalid']);
+        expect(form.errors('email')).toEqual([]);
+        expect(yield form.touch('email')).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+  });
+
+  describe(".subscribe()", function() {
+
+    it("notifies listeners of changes", function(done) {
+
+      co(function*() {
+        var states = [];
+        var unsubscribe = this.form.subscribe(function(form) {
+          states.push(form.field('email'));
+        });
+
+        this.form.set('email', 'willy');
+        yield this.form.touch('email');
+
+        expect(states.map(function(state) {
+          return [state.dirty, state.pending, state.errors.length];
+        })).toEqual([[true, false, 0], [true, true, 0], [true, false, 1]]);
+
+        unsubscribe();
+        this.form.set('email', 'willy@boy.com');
+        expect(states.length).toBe(3);
+        done();
+      }.bind(this));
+
+    });
+
+  });
+
+  describe(".reset()", function() {
+
+    it("resets the state", function(done) {
+
+      co(function*() {
+        this.form.set('email', 'willy');
+        yield this.form.touch('email');
+        this.form.set('username', 'taken');
+
+        this.form.reset({ email: 'johnny@boy.com' });
+
+        expect(this.form.values()).toEqual({ email: 'johnny@boy.com' });
+        expect(this.form.touched()).toBe(false);
+        expect(this.form.dirty()).toBe(false);
+        expect(this.form.errors()).toEqual({});
+        expect(this.validator.errors()).toEqual({});
+
+        this.clock.tick(20);
+        expect(this.form.pending()).toBe(false);
+        expect(this.checked).toEqual([]);
+        done();
+      }.bind(this));
+
+    });
+
+  });
+
+});
@@ -1,4 +1,9 @@
 Promise = require('bluebird');
 
 require('./checker.spec');
+require('./sanitizer.spec');
 require('./validator.spec');
+require('./json-schema.spec');
+require('./path.spec');
+require('./runner.spec');
+require('./form-state.spec');
@@ -0,0 +1,571 @@
+var co = require('co');
+var Checker = require('../../src/checker');
+var Validator = require('../../src/validator');
+var JsonSchema = require('../../src/json-schema');
+
+describe("JsonSchema", function() {
+
+  afterEach(function() {
+    Checker.reset();
+  });
+
+  describe(".rules()", function() {
+
+    it("converts keywords into validation rules", function() {
+
+      var rules = JsonSchema.rules({
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        required: ['title', 'age'],
+        properties: {
+          title: { type: 'string', minLength: 3, maxLength: 20, description: 'The title' },
+          slug: { type: 'string', pattern: '^[a-z-]+$' },
+          age: { type: 'integer', minimum: 18, maximum: 99 },
+          email: { type: 'string', format: 'email' },
+          status: { enum: ['draft', 'published'] }
+        }
+      });
+
+      expect(rules).toEqual({
+        title: {
+          type: { type: 'string', required: true },
+          lengthBetween: { min: 3, max: 20, required: true }
+        },
+        slug: {
+          type: { type: 'string', required: false },
+          pattern: { pattern: '^[a-z-]+$', required: false }
+        },
+        age: {
+          type: { type: 'integer', required: true },
+          min: { min: 18, required: true },
+          max: { max: 99, required: true }
+        },
+        email: {
+          type: { type: 'string', required: false },
+          email: { required: false }
+        },
+        status: {
+          inList: { list: ['draft', 'published'], required: false }
+        }
+      });
+
+    });
+
+    it("converts single length boundaries", function() {
+
+      var rules = JsonSchema.rules({
+        properties: {
+          code: { type: 'string', minLength: 3 },
+          name: { type: 'string', maxLength: 20 }
+        }
+      });
+
+      expect(rules).toEqual({
+        code: {
+          type: { type: 'string', required: false },
+          lengthMin: { length: 3, required: false }
+        },
+        name: {
+          type: { type: 'string', required: false },
+          lengthMax: { length: 20, required: false }
+        }
+      });
+
+    });
+
+    it("skips the values of other types for type specific keywords", function() {
+
+      var rules = JsonSchema.rules({
+        properties: {
+          age: { minimum: 18 },
+          code: { type: ['string', 'null'], minLength: 3 },
+          tags: { type: 'array', minLength: 3 },
+          any: { minimum: 1, pattern: '^[a-z]+$' }
+        }
+      });
+
+      expect(rules).toEqual({
+        age: {
+          anyOf: { rules: [{ 'not:type': { type: 'number' } }, { min: { min: 18 } }], required: false }
+        },
+        code: {
+          type: { type: ['string', 'null'], required: false },
+          anyOf: { rules: [{ 'not:type': { type: 'string' } }, { lengthMin: { length: 3 } }], required: false }
+        },
+        tags: {
+          type: { type: 'array', required: false }
+        },
+        any: {
+          allOf: {
+            rules: [
+              { anyOf: { rules: [{ 'not:type': { type: 'number' } }, { min: { min: 1 } }] } },
+              { anyOf: { rules: [{ 'not:type': { type: 'string' } }, { pattern: { pattern: '^[a-z]+$' } }] } }
+            ],
+            required: false
+          }
+        }
+      });
+
+    });
+
+    it("converts nested properties and items into dotted paths", function() {
+
+      var rules = JsonSchema.rules({
+        type: 'object',
+        required: ['address', 'tags'],
+        properties: {
+          address: {
+            type: 'object',
+            required: ['city'],
+            properties: {
+              city: { type: 'string' }
+            }
+          },
+          billing: {
+            type: 'object',
+            required: ['city'],
+            properties: {
+              city: { type: 'string' }
+            }
+          },
+          tags: {
+            type: 'array',
+            items: { type: 'string', format: 'uuid' }
+          }
+        }
+      });
+
+      expect(rules).toEqual({
+        address: { type: { type: 'object', required: true } },
+        'address.city': { type: { type: 'string', required: true } },
+        billing: { type: { type: 'object', required: false } },
+        'billing.city': {
+          presentWith: { fields: 'billing' },
+          type: { type: 'string', required: false }
+        },
+        tags: { type: { type: 'array', required: true } },
+        'tags.*': {
+          type: { type: 'string', required: false },
+          uuid: { required: false }
+        }
+      });
+
+    });
+
+    it("requires properties without keywords", function() {
+
+      var rules = JsonSchema.rules({
+        required: ['id'],
+        properties: {
+          name: {}
+        }
+      });
+
+      expect(rules).toEqual({ id: { required: { required: true } } });
+
+    });
+
+    it("throws an exception for unsupported keywords", function() {
+
+      var closure = function() {
+        JsonSchema.rules({
+          properties: {
+            count: { type: 'integer', multipleOf: 2 }
+          }
+        });
+      };
+      expect(closure).toThrow(new Error("Unsupported JSON Schema keyword `multipleOf` at `count`."));
+
+    });
+
+    it("throws an exception for unsupported root keywords", function() {
+
+      var closure = function() {
+        JsonSchema.rules({ type: 'array', items: { type: 'string' } });
+      };
+      expect(closure).toThrow(new Error("Unsupported JSON Schema keyword `type` at `#`."));
+
+    });
+
+    it("throws an exception for unsupported formats", function() {
+
+      var closure = function() {
+        JsonSchema.rules({
+          properties: {
+            host: { format: 'hostname' }
+          }
+        });
+      };
+      expect(closure).toThrow(new Error("Unsupported JSON Schema format `hostname` at `host`."));
+
+    });
+
+  });
+
+  describe(".toValidator()", function() {
+
+    it("creates a validator", function(done) {
+
+      co(function*() {
+        var validator = JsonSchema.toValidator({
+          type: 'object',
+          required: ['title'],
+          properties: {
+            title: { type: 'string', minLength: 3, maxLength: 20 },
+            tags: { type: 'array', items: { enum: ['news', 'blog'] } }
+          }
+        });
+
+        expect(validator).toBeAnInstanceOf(Validator);
+
+        expect(yield validator.validates({ title: 'new title', tags: ['news'] })).toBe(true);
+        expect(yield validator.validates({ title: 'new title' })).toBe(true);
+
+        expect(yield validator.validates({ tags: ['news', 'other'] })).toBe(false);
+        expect(validator.errors()).toEqual({
+          title: ['is required'],
+          'tags.1': ['must contain a valid value']
+        });
+        done();
+      });
+
+    });
+
+    it("requires the properties of optional objects and array items once their parent is present", function(done) {
+
+      co(function*() {
+        var validator = JsonSchema.toValidator({
+          type: 'object',
+          properties: {
+            address: {
+              type: 'object',
+              required: ['city'],
+              properties: { city: { type: 'string' } }
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['sku'],
+                properties: { sku: { type: 'string' } }
+              }
+            }
+          }
+        });
+
+        expect(yield validator.validates({})).toBe(true);
+        expect(yield validator.validates({ address: { city: 'Paris' }, items: [] })).toBe(true);
+        expect(yield validator.validates({ address: { city: '' }, items: [{ sku: '' }] })).toBe(true);
+
+        expect(yield validator.validates({ address: {}, items: [{ sku: 'A1' }, { qty: 1 }] })).toBe(false);
+        expect(validator.errors()).toEqual({
+          'address.city': ['must be present when `address` is present'],
+          'items.1.sku': ['must be present when `items.1` is present']
+        });
+        done();
+      });
+
+    });
+
+    it("ignores type specific keywords for values of other types", function() {
+
+      var validator = JsonSchema.toValidator({
+        properties: {
+          n: { minimum: 5 },
+          name: { minLength: 3 }
+        }
+      });
+
+      expect(validator.validatesSync({ n: 'abc', name: 12 })).toBe(true);
+      expect(validator.validatesSync({ n: 3, name: 'ab' })).toBe(false);
+      expect(Object.keys(validator.errors())).toEqual(['n', 'name']);
+
+    });
+
+    it("passes the config to the validator", function() {
+
+      var validator = JsonSchema.toValidator({}, { errorMode: 'object' });
+      expect(validator.errorMode()).toBe('object');
+
+    });
+
+  });
+
+  describe(".fromValidator()", function() {
+
+    it("converts rules into keywords", function() {
+
+      var validator = new Validator();
+      validator.rule('title', { type: { type: 'string' }, lengthBetween: { min: 3, max: 20 } });
+      validator.rule('slug', { pattern: { pattern: /^[a-z-]+$/, required: false } });
+      validator.rule('age', { min: { min: 18 }, max: { max: 99 } });
+      validator.rule('email', { email: { required: false } });
+      validator.rule('status', { inList: { list: ['draft', 'published'], required: false } });
+
+      expect(JsonSchema.fromValidator(validator)).toEqual({
+        schema: {
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object',
+          required: ['title', 'age'],
+          properties: {
+            title: { type: 'string', minLength: 3, maxLength: 20 },
+            slug: { pattern: '^[a-z-]+$' },
+            age: { minimum: 18, maximum: 99 },
+            email: { format: 'email' },
+            status: { enum: ['draft', 'published'] }
+          }
+        },
+        unsupported: []
+      });
+
+    });
+
+    it("converts dotted and `*` paths into nested properties and items", function() {
+
+      var validator = new Validator();
+      validator.rule('people.*.email', 'email');
+      validator.rule('address.city', { lengthMin: { length: 2, required: false } });
+
+      expect(JsonSchema.fromValidator(validator).schema).toEqual({
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        required: ['people'],
+        properties: {
+          people: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['email'],
+              properties: {
+                email: { format: 'email' }
+              }
+            }
+          },
+          address: {
+            type: 'object',
+            properties: {
+              city: { minLength: 2 }
+            }
+          }
+        }
+      });
+
+    });
+
+    it("converts negated and skippable rules", function() {
+
+      var validator = new Validator();
+      validator.rule('title', 'not:empty');
+      validator.rule('phone', { inList: { list: ['1234'], skipNull: true } });
+
+      expect(JsonSchema.fromValidator(validator).schema.properties).toEqual({
+        title: { anyOf: [{ not: { type: 'string' } }, { not: { pattern: '^\\s*$' } }] },
+        phone: { anyOf: [{ type: 'null' }, { enum: ['1234'] }] }
+      });
+
+    });
+
+    it("converts negated rules using their options", function() {
+
+      var validator = new Validator();
+      validator.rule('status', { 'not:inList': { list: ['banned', 'deleted'] } });
+      validator.rule('code', { 'not:lengthMin': { length: 3, skipNull: true } });
+      validator.rule('name', { 'not:required': {} });
+
+      var result = JsonSchema.fromValidator(validator);
+      expect(result.schema.properties).toEqual({
+        status: { not: { enum: ['banned', 'deleted'] } },
+        code: { anyOf: [{ type: 'null' }, { not: { minLength: 3 } }] },
+        name: {}
+      });
+      expect(result.unsupported).toEqual([{ field: 'name', rule: 'not:required' }]);
+
+    });
+
+    it("combines conflicting keywords", function() {
+
+      var validator = new Validator();
+      validator.rule('code', [
+        { pattern: { pattern: '^[A-Z]' } },
+        { 'not:empty': {} },
+        { lengthMin: { length: 3 } }
+      ]);
+
+      expect(JsonSchema.fromValidator(validator).schema.properties).toEqual({
+        code: {
+          pattern: '^[A-Z]',
+          anyOf: [{ not: { type: 'string' } }, { not: { pattern: '^\\s*$' } }],
+          minLength: 3
+        }
+      });
+
+      validator.rule('code', { empty: {} });
+
+      expect(JsonSchema.fromValidator(validator).schema.properties.code.allOf).toEqual([
+        { pattern: '^\\s*$' }
+      ]);
+
+    });
+
+    it("converts nested validators", function() {
+
+      var item = new Validator();
+      item.rule('sku', { lengthMin: { length: 2 } });
+      item.rule('price', 'money');
+
+      var validator = new Validator();
+      validator.rule('items.*', { schema: { validator: item, required: false } });
+
+      expect(JsonSchema.fromValidator(validator)).toEqual({
+        schema: {
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object',
+          properties: {
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['sku', 'price'],
+                properties: {
+                  sku: { minLength: 2 },
+                  price: {}
+                }
+              }
+            }
+          }
+        },
+        unsupported: [{ field: 'items.*.price', rule: 'money' }]
+      });
+
+    });
+
+    it("reports the unexpressible rules", function() {
+
+      var validator = new Validator();
+      validator.set('zeroToNine', /^[0-9]$/);
+      validator.rule('checksum', 'zeroToNine');
+      validator.rule('card', { creditCard: {}, luhn: {} });
+      validator.rule('title', { 'not:empty': { on: 'create' } });
+      validator.rule('vat', { 'not:empty': { when: { field: 'country', is: 'FR' } } });
+
+      expect(JsonSchema.fromValidator(validator)).toEqual({
+        schema: {
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object',
+          required: ['checksum', 'card'],
+          properties: {
+            checksum: {},
+            card: {},
+            title: {},
+            vat: {}
+          }
+        },
+        unsupported: [
+          { field: 'checksum', rule: 'zeroToNine' },
+          { field: 'card', rule: 'creditCard' },
+          { field: 'card', rule: 'luhn' },
+          { field: 'title', rule: 'not:empty' },
+          { field: 'vat', rule: 'not:empty' }
+        ]
+      });
+
+    });
+
+    it("converts type rules", function() {
+
+      var validator = new Validator();
+      validator.rule('count', 'integer');
+      validator.rule('price', 'numeric');
+      validator.rule('active', { boolean: { required: false } });
+      validator.rule('rate', { inRange: { lower: 0, upper: 5 } });
+      validator.rule('floor', { inRange: { lower: 1, required: false } });
+
+      expect(JsonSchema.fromValidator(validator)).toEqual({
+        schema: {
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object',
+          required: ['count', 'price', 'rate'],
+          properties: {
+            count: { type: 'integer' },
+            price: { type: 'number' },
+            active: { type: 'boolean' },
+            rate: { type: 'number', minimum: 0, maximum: 5 },
+            floor: { type: 'number', minimum: 1 }
+          }
+        },
+        unsupported: []
+      });
+
+    });
+
+    it("converts composite rules", function() {
+
+      var validator = new Validator();
+      validator.rule('contact', { anyOf: { rules: ['email', [{ type: { type: 'string' } }, { lengthMin: { length: 10 } }]] } });
+      validator.rule('code', { oneOf: { rules: [{ type: { type: 'integer' } }, { pattern: { pattern: '^[A-Z]+$' } }] } });
+      validator.rule('name', { allOf: { rules: [{ lengthMin: { length: 2 } }, { lengthMax: { length: 9 } }] } });
+      validator.rule('nickname', { noneOf: { rules: ['email', 'url'] } });
+      validator.rule('card', { anyOf: { rules: ['creditCard', 'empty'] } });
+
+      expect(JsonSchema.fromValidator(validator)).toEqual({
+        schema: {
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object',
+          required: ['contact', 'code', 'name', 'nickname', 'card'],
+          properties: {
+            contact: { anyOf: [{ format: 'email' }, { type: 'string', minLength: 10 }] },
+            code: { oneOf: [{ type: 'integer' }, { pattern: '^[A-Z]+$' }] },
+            name: { allOf: [{ minLength: 2 }, { maxLength: 9 }] },
+            nickname: { not: { anyOf: [{ format: 'email' }, { format: 'uri' }] } },
+            card: {}
+          }
+        },
+        unsupported: [
+          { field: 'card', rule: 'anyOf' }
+        ]
+      });
+
+    });
+
+    it("round trips imported schemas", function() {
+
+      var schema = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        required: ['title', 'tags'],
+        properties: {
+          title: { type: 'string', minLength: 3, maxLength: 20 },
+          tags: {
+            type: 'array',
+            items: { type: 'string', format: 'uuid' }
+          },
+          billing: {
+            type: 'object',
+            required: ['city'],
+            properties: {
+              city: { type: 'string' }
+            }
+          },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['sku'],
+              properties: {
+                sku: { type: 'string' }
+              }
+            }
+          }
+        }
+      };
+
+      expect(JsonSchema.fromValidator(JsonSchema.toValidator(schema))).toEqual({
+        schema: schema,
+        unsupported: []
+      });
+
+    });
+
+  });
+
+});
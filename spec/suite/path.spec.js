@@ -0,0 +1,168 @@
+var Path = require('../../src/path');
+
+describe("Path", function() {
+
+  describe(".split()", function() {
+
+    it("splits dotted paths", function() {
+
+      expect(Path.split('people.*.email')).toEqual(['people', '*', 'email']);
+      expect(Path.split(['people', '*'])).toEqual(['people', '*']);
+      expect(Path.split('')).toEqual([]);
+
+    });
+
+  });
+
+  describe(".get()", function() {
+
+    it("gets values using dotted paths", function() {
+
+      var data = { people: [{ email: 'willy@boy.com' }] };
+
+      expect(Path.get(data, 'people.0.email')).toBe('willy@boy.com');
+      expect(Path.get(data, ['people', '0'])).toBe(data.people[0]);
+      expect(Path.get(data, '')).toBe(data);
+
+    });
+
+    it("gets values from maps", function() {
+
+      var data = { options: new Map([['color', 'red']]) };
+
+      expect(Path.get(data, 'options.color')).toBe('red');
+
+    });
+
+    it("returns `undefined` for unexisting paths", function() {
+
+      expect(Path.get({ address: null }, 'address.city')).toBe(undefined);
+      expect(Path.get({}, 'address.city')).toBe(undefined);
+
+    });
+
+  });
+
+  describe(".set()", function() {
+
+    it("sets values using dotted paths", function() {
+
+      var data = { people: [{ email: 'willy@boy.com' }] };
+
+      expect(Path.set(data, 'people.0.email', 'johnny@boy.com')).toBe(true);
+      expect(data).toEqual({ people: [{ email: 'johnny@boy.com' }] });
+
+    });
+
+    it("sets values in maps", function() {
+
+      var data = { options: new Map() };
+
+      expect(Path.set(data, 'options.color', 'red')).toBe(true);
+      expect(data.options.get('color')).toBe('red');
+
+    });
+
+    it("doesn't set values on unexisting paths", function() {
+
+      var data = {};
+
+      expect(Path.set(data, 'address.city', 'Paris')).toBe(false);
+      expect(Path.set(data, '', 'Paris')).toBe(false);
+      expect(data).toEqual({});
+
+    });
+
+  });
+
+  describe(".assign()", function() {
+
+    it("sets values and creates the missing intermediate values", function() {
+
+      var data = { address: null };
+
+      expect(Path.assign(data, 'address.city', 'Paris')).toBe(true);
+      expect(Path.assign(data, 'people.1.email', 'willy@boy.com')).toBe(true);
+      expect(data).toEqual({ address: { city: 'Paris' }, people: [undefined, { email: 'willy@boy.com' }] });
+
+    });
+
+    it("doesn't set values through scalar values", function() {
+
+      var data = { title: 'new title' };
+
+      expect(Path.assign(data, 'title.text', 'other')).toBe(false);
+      expect(Path.assign(data, '', 'other')).toBe(false);
+      expect(data).toEqual({ title: 'new title' });
+
+    });
+
+  });
+
+  describe(".remove()", function() {
+
+    it("removes values using dotted paths", function() {
+
+      var data = { address: { city: 'Paris', zip: '75000' }, tags: ['a', 'b', 'c'] };
+
+      expect(Path.remove(data, 'address.zip')).toBe(true);
+      expect(Path.remove(data, 'tags.1')).toBe(true);
+      expect(data).toEqual({ address: { city: 'Paris' }, tags: ['a', 'c'] });
+
+    });
+
+    it("removes values from maps", function() {
+
+      var data = { options: new Map([['color', 'red']]) };
+
+      expect(Path.remove(data, 'options.color')).toBe(true);
+      expect(data.options.has('color')).toBe(false);
+
+    });
+
+    it("doesn't remove values on unexisting paths", function() {
+
+      expect(Path.remove({}, 'address.city')).toBe(false);
+      expect(Path.remove({}, '')).toBe(false);
+
+    });
+
+  });
+
+
+  describe(".resolve()", function() {
+
+    it("resolves dotted paths", function() {
+
+      expect(Path.resolve('password', 'confirm')).toBe('password');
+      expect(Path.resolve('password.value', 'password.confirm')).toBe('password.value');
+
+    });
+
+    it("resolves `*` against the value path", function() {
+
+      expect(Path.resolve('items.*.start', 'items.2.end')).toBe('items.2.start');
+      expect(Path.resolve('orders.*.items.*.min', 'orders.1.items.3.qty')).toBe('orders.1.items.3.min');
+      expect(Path.resolve('items.*.start', 'end')).toBe('items.*.start');
+
+    });
+
+    it("resolves `$sibling` references", function() {
+
+      expect(Path.resolve('$sibling.start', 'items.2.end')).toBe('items.2.start');
+      expect(Path.resolve('$sibling.start', 'end')).toBe('start');
+
+    });
+
+    it("resolves `$parent` references", function() {
+
+      expect(Path.resolve('$parent.start', 'order.items.2.end')).toBe('order.start');
+      expect(Path.resolve('$parent.start', 'order.period.end')).toBe('order.start');
+      expect(Path.resolve('$parent.$parent.start', 'orders.0.items.2.end')).toBe('start');
+      expect(Path.resolve('$parent.start', 'items.*.end')).toBe('start');
+
+    });
+
+  });
+
+});
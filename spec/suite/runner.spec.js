@@ -0,0 +1,218 @@
+var Runner = require('../../src/runner');
+var AbortController = require('../support/abort-controller');
+
+describe("Runner", function() {
+
+  beforeEach(function() {
+    this.generator = function*(value) {
+      var a = yield value;
+      var b = yield a + 1;
+      return b * 2;
+    };
+  });
+
+  describe(".sync()", function() {
+
+    it("runs generators synchronously", function() {
+
+      expect(Runner.sync(this.generator(1))).toBe(4);
+
+    });
+
+    it("throws an exception when a promise is yielded", function() {
+
+      var closure = function() {
+        Runner.sync(this.generator(Promise.resolve(1)));
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unable to run synchronously, an asynchronous handler returned a promise."));
+
+    });
+
+  });
+
+  describe(".async()", function() {
+
+    it("runs generators asynchronously", function(done) {
+
+      Runner.async(this.generator(Promise.resolve(1))).then(function(result) {
+        expect(result).toBe(4);
+        done();
+      });
+
+    });
+
+    it("throws rejections back into generators", function(done) {
+
+      var generator = function*() {
+        try {
+          yield Promise.reject(new Error('error'));
+        } catch (e) {
+          return e.message;
+        }
+      };
+      Runner.async(generator()).then(function(result) {
+        expect(result).toBe('error');
+        done();
+      });
+
+    });
+
+    it("rejects on uncaught errors", function(done) {
+
+      var generator = function*() {
+        yield 1;
+        throw new Error('error');
+      };
+      Runner.async(generator()).catch(function(e) {
+        expect(e.message).toBe('error');
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".pool()", function() {
+
+    beforeEach(function() {
+      this.running = 0;
+      this.peak = 0;
+      this.task = function(value, delay) {
+        return function() {
+          this.running++;
+          this.peak = Math.max(this.peak, this.running);
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              this.running--;
+              resolve(value);
+            }.bind(this), delay);
+          }.bind(this));
+        }.bind(this);
+      };
+    });
+
+    it("runs tasks with a concurrency limit", function(done) {
+
+      var tasks = [this.task(1, 15), this.task(2, 5), this.task(3, 5), this.task(4, 5)];
+      Runner.pool(tasks, 2).then(function(results) {
+        expect(results).toEqual([1, 2, 3, 4]);
+        expect(this.peak).toBe(2);
+        done();
+      }.bind(this));
+
+    });
+
+    it("stops starting tasks when `stop` returns `true`", function(done) {
+
+      var tasks = [this.task(1, 5), this.task(2, 5), this.task(3, 5)];
+      Runner.pool(tasks, 1, function(result) {
+        return result === 2;
+      }).then(function(results) {
+        expect(results).toEqual([1, 2, undefined]);
+        done();
+      });
+
+    });
+
+    it("rejects when a task fails", function(done) {
+
+      var tasks = [this.task(1, 5), function() {
+        throw new Error('error');
+      }];
+      Runner.pool(tasks, 2).catch(function(e) {
+        expect(e.message).toBe('error');
+        done();
+      });
+
+    });
+
+    it("resolves with an empty array when there's no tasks", function(done) {
+
+      Runner.pool([], 2).then(function(results) {
+        expect(results).toEqual([]);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".timeout()", function() {
+
+    it("resolves with the promise value", function(done) {
+
+      Runner.timeout(Promise.resolve(1), 10, 'timeout').then(function(result) {
+        expect(result).toBe(1);
+        done();
+      });
+
+    });
+
+    it("resolves with the fallback value when the time limit is reached", function(done) {
+
+      var promise = new Promise(function(resolve) {
+        setTimeout(resolve, 50);
+      });
+      Runner.timeout(promise, 5, 'timeout').then(function(result) {
+        expect(result).toBe('timeout');
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".abortable()", function() {
+
+    it("resolves with the promise value", function(done) {
+
+      var controller = new AbortController();
+      Runner.abortable(Promise.resolve(1), controller.signal, 'aborted').then(function(result) {
+        expect(result).toBe(1);
+        done();
+      });
+
+    });
+
+    it("resolves with the fallback value once aborted", function(done) {
+
+      var controller = new AbortController();
+      var promise = new Promise(function(resolve) {
+        setTimeout(resolve, 50);
+      });
+      Runner.abortable(promise, controller.signal, 'aborted').then(function(result) {
+        expect(result).toBe('aborted');
+        done();
+      });
+      controller.abort();
+
+    });
+
+    it("resolves with the fallback value when already aborted", function(done) {
+
+      var controller = new AbortController();
+      controller.abort();
+      Runner.abortable(new Promise(function() {}), controller.signal, 'aborted').then(function(result) {
+        expect(result).toBe('aborted');
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".thenable()", function() {
+
+    it("checks if a value is a promise", function() {
+
+      expect(Runner.thenable(Promise.resolve())).toBe(true);
+      expect(Runner.thenable({ then: function() {} })).toBe(true);
+      expect(Runner.thenable({})).toBe(false);
+      expect(Runner.thenable(null)).toBe(false);
+      expect(Runner.thenable(true)).toBe(false);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,191 @@
+var Sanitizer = require('../../src/sanitizer');
+
+describe("Sanitizer", function() {
+
+  afterEach(function() {
+    Sanitizer.reset();
+  });
+
+  describe(".set()", function() {
+
+    it("sets filters", function() {
+
+      var slug = function(value) { return value.replace(/\s+/g, '-'); };
+      Sanitizer.set('slug', slug);
+      Sanitizer.set({ upper: function(value) { return value.toUpperCase(); } });
+
+      expect(Sanitizer.has('slug')).toBe(true);
+      expect(Sanitizer.has('upper')).toBe(true);
+      expect(Sanitizer.get('slug')).toBe(slug);
+
+    });
+
+  });
+
+  describe(".get()", function() {
+
+    it("throws an exceptions for unexisting filter", function() {
+
+      var closure = function() {
+        Sanitizer.get('abc');
+      };
+
+      expect(closure).toThrow(new Error("Unexisting `abc` as filter."));
+
+    });
+
+  });
+
+  describe(".filters()", function() {
+
+    beforeEach(function() {
+      Sanitizer.reset(true);
+      this.trim = function(value) { return value.trim(); };
+      Sanitizer.set('trim', this.trim);
+    });
+
+    it("gets some filters", function() {
+
+      expect(Sanitizer.filters()).toEqual({ trim: this.trim });
+
+    });
+
+    it("appends some filters", function() {
+
+      var upper = function(value) { return value.toUpperCase(); };
+      expect(Sanitizer.filters({ upper: upper })).toEqual({ trim: this.trim, upper: upper });
+
+    });
+
+    it("sets some filters", function() {
+
+      var upper = function(value) { return value.toUpperCase(); };
+      expect(Sanitizer.filters({ upper: upper }, false)).toEqual({ upper: upper });
+
+    });
+
+  });
+
+  describe(".apply()", function() {
+
+    it("applies filter functions", function() {
+
+      expect(Sanitizer.apply(function(value, options) {
+        return value + options.suffix;
+      }, 'hello', { suffix: '!' })).toBe('hello!');
+
+    });
+
+    it("trims values", function() {
+
+      expect(Sanitizer.apply('trim', '  hello  ')).toBe('hello');
+      expect(Sanitizer.apply('trim', 5)).toBe(5);
+
+    });
+
+    it("lowercases values", function() {
+
+      expect(Sanitizer.apply('lowercase', 'HeLLo')).toBe('hello');
+      expect(Sanitizer.apply('lowercase', null)).toBe(null);
+
+    });
+
+    it("converts values into integers", function() {
+
+      expect(Sanitizer.apply('toInt', '42')).toBe(42);
+      expect(Sanitizer.apply('toInt', ' -42 ')).toBe(-42);
+      expect(Sanitizer.apply('toInt', '1e3')).toBe(1000);
+      expect(Sanitizer.apply('toInt', '42.7')).toBe('42.7');
+      expect(Sanitizer.apply('toInt', 42.7)).toBe(42.7);
+      expect(Sanitizer.apply('toInt', '12abc')).toBe('12abc');
+      expect(Sanitizer.apply('toInt', '')).toBe('');
+      expect(Sanitizer.apply('toInt', 'abc')).toBe('abc');
+
+    });
+
+    it("converts values into floats", function() {
+
+      expect(Sanitizer.apply('toFloat', '42.5')).toBe(42.5);
+      expect(Sanitizer.apply('toFloat', '1e3')).toBe(1000);
+      expect(Sanitizer.apply('toFloat', '12abc')).toBe('12abc');
+      expect(Sanitizer.apply('toFloat', ' ')).toBe(' ');
+      expect(Sanitizer.apply('toFloat', 'Infinity')).toBe('Infinity');
+      expect(Sanitizer.apply('toFloat', 'abc')).toBe('abc');
+      expect(Sanitizer.apply('toFloat', true)).toBe(true);
+
+    });
+
+    it("converts values into booleans", function() {
+
+      expect(Sanitizer.apply('toBoolean', 'yes')).toBe(true);
+      expect(Sanitizer.apply('toBoolean', 'On')).toBe(true);
+      expect(Sanitizer.apply('toBoolean', '1')).toBe(true);
+      expect(Sanitizer.apply('toBoolean', 1)).toBe(true);
+      expect(Sanitizer.apply('toBoolean', 'false')).toBe(false);
+      expect(Sanitizer.apply('toBoolean', 'off')).toBe(false);
+      expect(Sanitizer.apply('toBoolean', '')).toBe(false);
+      expect(Sanitizer.apply('toBoolean', 0)).toBe(false);
+      expect(Sanitizer.apply('toBoolean', 'maybe')).toBe('maybe');
+      expect(Sanitizer.apply('toBoolean', null)).toBe(null);
+
+    });
+
+    it("converts values into dates", function() {
+
+      expect(Sanitizer.apply('toDate', '2015-12-31T11:59:59Z')).toEqual(new Date('2015-12-31T11:59:59Z'));
+      expect(Sanitizer.apply('toDate', 0)).toEqual(new Date(0));
+      expect(Sanitizer.apply('toDate', 'invalid')).toBe('invalid');
+
+    });
+
+    it("strips tags", function() {
+
+      expect(Sanitizer.apply('stripTags', '<p>Hello <b>World</b></p>')).toBe('Hello World');
+      expect(Sanitizer.apply('stripTags', '1 < 2')).toBe('1 < 2');
+
+    });
+
+    it("normalizes strings", function() {
+
+      expect(Sanitizer.apply('normalize', 'é')).toBe('é');
+      expect(Sanitizer.apply('normalize', 'ﬁ', { form: 'NFKC' })).toBe('fi');
+
+    });
+
+  });
+
+  describe(".clone()", function() {
+
+    it("clones plain objects and arrays", function() {
+
+      var date = new Date();
+      var data = { tags: ['a', 'b'], author: { name: 'Willy' }, created: date };
+      var clone = Sanitizer.clone(data);
+
+      expect(clone).toEqual(data);
+      expect(clone).not.toBe(data);
+      expect(clone.tags).not.toBe(data.tags);
+      expect(clone.author).not.toBe(data.author);
+      expect(clone.created).toBe(date);
+
+    });
+
+  });
+
+  describe(".equals()", function() {
+
+    it("deeply compares plain objects and arrays", function() {
+
+      expect(Sanitizer.equals({ tags: ['a', 'b'], author: { name: 'Willy' } }, { tags: ['a', 'b'], author: { name: 'Willy' } })).toBe(true);
+      expect(Sanitizer.equals({ tags: ['a', 'b'] }, { tags: ['a', 'c'] })).toBe(false);
+      expect(Sanitizer.equals({ tags: [] }, { tags: {} })).toBe(false);
+      expect(Sanitizer.equals({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+      expect(Sanitizer.equals(new Date(0), new Date(0))).toBe(true);
+      expect(Sanitizer.equals(null, {})).toBe(false);
+      expect(Sanitizer.equals('1', 1)).toBe(false);
+
+    });
+
+  });
+
+});
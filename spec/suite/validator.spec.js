@@ -1,6 +1,7 @@
 var co = require('co');
 var Checker = require('../../src/checker');
 var Validator = require('../../src/validator');
+var AbortController = require('../support/abort-controller');
 
 describe("Validator", function() {
 
@@ -23,6 +24,36 @@ describe("Validator", function() {
 
     });
 
+    it("binds the validator to the default registry", function() {
+
+      var validator = new Validator();
+      expect(validator.checker()).toBe(Checker);
+
+    });
+
+    it("binds the validator to a checker registry", function(done) {
+
+      co(function*() {
+        var checker = new Checker();
+        checker.set('zeroToNine', /^[0-9]$/);
+        checker.messages({ zeroToNine: 'must be a digit' });
+
+        var validator = new Validator({ checker: checker });
+        validator.rule('digit', 'zeroToNine');
+        expect(validator.checker()).toBe(checker);
+
+        expect(yield validator.validates({ digit: '5' })).toBe(true);
+        expect(yield validator.validates({ digit: '50' })).toBe(false);
+        expect(validator.errors()).toEqual({ digit: ['must be a digit'] });
+
+        var other = new Validator();
+        expect(other.has('zeroToNine')).toBe(false);
+        expect(other.message('zeroToNine')).toBe('is invalid');
+        done();
+      });
+
+    });
+
   });
 
   describe(".meta()", function() {
@@ -53,6 +84,58 @@ describe("Validator", function() {
 
   });
 
+  describe(".errorMode()", function() {
+
+    it("gets/sets the errors mode", function() {
+
+      var validator = new Validator();
+
+      expect(validator.errorMode()).toBe('message');
+      expect(validator.errorMode('object')).toBe('object');
+      expect(validator.errorMode()).toBe('object');
+
+    });
+
+  });
+
+  describe(".errors()", function() {
+
+    it("gets/sets the logged errors", function() {
+
+      var validator = new Validator();
+      validator.rule('title', 'not:empty');
+      validator.validatesSync({ title: '' });
+
+      expect(validator.errors()).toEqual({ title: ['must not be a empty'] });
+      expect(validator.errors({})).toEqual({});
+      expect(validator.errors()).toEqual({});
+
+    });
+
+  });
+
+  describe(".data()", function() {
+
+    it("gets the filtered data of the last validation", function(done) {
+
+      co(function*() {
+        var validator = new Validator();
+        validator.filter('email', ['trim', 'lowercase']);
+        validator.rule('email', 'email');
+        expect(validator.data()).toBe(undefined);
+
+        expect(yield validator.validates({ email: ' Willy@Boy.com ' })).toBe(true);
+        expect(validator.data()).toEqual({ email: 'willy@boy.com' });
+
+        expect(validator.validatesSync({ email: ' Johnny@Boy ' })).toBe(false);
+        expect(validator.data()).toEqual({ email: 'johnny@boy' });
+        done();
+      });
+
+    });
+
+  });
+
   describe(".get()", function() {
 
     it("throws an exceptions for unexisting validation handler", function() {
@@ -142,290 +225,1996 @@ describe("Validator", function() {
       var handler = Checker.get('alphaNumeric');
       this.validator.is('alphaNumeric', 'abcdef', { hello: 'world' });
 
-      expect(Checker.check).toHaveBeenCalledWith('abcdef', handler , { hello: 'world' }, undefined);
+      expect(Checker.check).toHaveBeenCalledWith('abcdef', handler , { hello: 'world' }, undefined);
+    });
+  });
+
+  describe(".filter()", function() {
+
+    it("sets some filters", function() {
+
+      var validator = new Validator();
+      var slug = function(value) { return value; };
+      validator.filter('email', ['trim', 'lowercase']);
+      validator.filter('title', { normalize: { form: 'NFKC' } });
+      validator.filter('slug', slug);
+
+      expect(validator.filters()).toEqual({
+        email: [{ name: 'trim', options: {} }, { name: 'lowercase', options: {} }],
+        title: [{ name: 'normalize', options: { form: 'NFKC' } }],
+        slug: [{ name: slug, options: {} }]
+      });
+
+    });
+
+  });
+
+  describe(".sanitize()", function() {
+
+    it("applies filters on a copy of the data", function(done) {
+
+      co(function*() {
+        var validator = new Validator();
+        validator.filter('email', ['trim', 'lowercase']);
+        validator.filter('people.*.age', 'toInt');
+        validator.filter('missing', 'trim');
+
+        var data = { email: ' Willy@Boy.com ', people: [{ age: '20' }, { age: '30' }] };
+        var result = yield validator.sanitize(data);
+
+        expect(result).toEqual({ email: 'willy@boy.com', people: [{ age: 20 }, { age: 30 }] });
+        expect(data).toEqual({ email: ' Willy@Boy.com ', people: [{ age: '20' }, { age: '30' }] });
+        done();
+      });
+
+    });
+
+    it("supports asynchronous filters", function(done) {
+
+      co(function*() {
+        var validator = new Validator();
+        validator.filter('name', function(value) {
+          return Promise.resolve(value.toUpperCase());
+        });
+
+        expect(yield validator.sanitize({ name: 'willy' })).toEqual({ name: 'WILLY' });
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".rule()", function() {
+
+    beforeEach(function() {
+      this.validator = new Validator();
+    });
+
+    it("throws an exception for unknown rules", function() {
+
+      var closure = function() {
+        this.validator.rule('title', 'lenghtMin');
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unexisting `lenghtMin` as validation handler, did you mean `lengthMin`?"));
+
+      closure = function() {
+        this.validator.rule('title', 'not:foo');
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unexisting `foo` as validation handler."));
+
+      closure = function() {
+        this.validator.rule('title', { anyOf: { rules: ['email', 'phon'] } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unexisting `phon` as validation handler, did you mean `phone`?"));
+
+    });
+
+    it("throws an exception for missing options", function() {
+
+      var closure = function() {
+        this.validator.rule('title', { lengthBetween: { min: 3 } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Missing `max` option for `lengthBetween` rule."));
+
+      closure = function() {
+        this.validator.rule('password', 'equalTo');
+      }.bind(this);
+      expect(closure).toThrow(new Error("Missing `key` option for `equalTo` rule."));
+
+      closure = function() {
+        this.validator.rule('contact', 'anyOf');
+      }.bind(this);
+      expect(closure).toThrow(new Error("Missing `rules` option for `anyOf` rule."));
+
+    });
+
+    it("throws an exception for nested validators in composite rules", function() {
+
+      var address = new Validator();
+      address.rule('city', 'not:empty');
+
+      var closure = function() {
+        this.validator.rule('address', { anyOf: { rules: ['empty', { schema: { validator: address } }] } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unsupported `schema` rule in `anyOf` branches, nested validators can't be combined."));
+
+      closure = function() {
+        this.validator.rule('address', { allOf: { rules: [{ noneOf: { rules: [{ schema: { validator: address } }] } }] } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unsupported `schema` rule in `noneOf` branches, nested validators can't be combined."));
+      expect(this.validator.rules()).toEqual({});
+
+    });
+
+    it("throws an exception for unexpected options", function() {
+
+      var closure = function() {
+        this.validator.rule('title', { lengthMin: { lenght: 3 } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unexpected `lenght` option for `lengthMin` rule, did you mean `length`?"));
+
+      closure = function() {
+        this.validator.rule('title', { 'not:empty': { foo: true } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unexpected `foo` option for `not:empty` rule."));
+
+    });
+
+    it("throws an exception for invalid options", function() {
+
+      var closure = function() {
+        this.validator.rule('title', { lengthMin: { length: '3' } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Invalid `length` option for `lengthMin` rule, expected `number`."));
+
+      closure = function() {
+        this.validator.rule('slug', { pattern: { pattern: 3 } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Invalid `pattern` option for `pattern` rule, expected `string|regexp`."));
+
+    });
+
+    it("accepts the generic rule options and undeclared handlers options", function() {
+
+      this.validator.set('zeroToNine', function(value, options) {
+        return options.strict ? value === '0' : true;
+      });
+
+      var closure = function() {
+        this.validator.rule('title', { lengthMin: { length: 3, message: 'too short', required: false, check: 'any' } });
+        this.validator.rule('code', { zeroToNine: { strict: true } });
+        this.validator.rule('price', { decimal: {} });
+      }.bind(this);
+      expect(closure).not.toThrow();
+
+    });
+
+    it("ignores the declarations of overridden handlers", function() {
+
+      this.validator.set('lengthMin', function(value, options) {
+        return String(value).length >= options.n;
+      });
+      Checker.set('lengthMax', function(value, options) {
+        return String(value).length <= options.n;
+      });
+
+      var closure = function() {
+        this.validator.rule('title', { lengthMin: { n: 1 }, lengthMax: { n: 10 } });
+      }.bind(this);
+      expect(closure).not.toThrow();
+      expect(this.validator.validatesSync({ title: 'hello' })).toBe(true);
+
+      closure = function() {
+        this.validator.rule('title', 'lengthMin:1');
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unexpected arguments for `lengthMin` rule."));
+
+    });
+
+    it("uses the declared options of plugins", function() {
+
+      this.validator.use({
+        namespace: 'fr',
+        handlers: { siret: /^[0-9]{14}$/ },
+        options: { siret: { strict: 'boolean?' } }
+      });
+
+      var closure = function() {
+        this.validator.rule('siret', { 'fr:siret': { strickt: true } });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unexpected `strickt` option for `fr:siret` rule, did you mean `strict`?"));
+
+    });
+
+  });
+
+  describe(".rules()", function() {
+
+    it("returns the defined rules", function() {
+
+      var validator = new Validator();
+      validator.rule('title', { 'not:empty': 'please enter a title' });
+
+      expect(validator.rules()).toEqual({
+        title: {
+          'not:empty': {
+            message: 'please enter a title',
+            required: true,
+            skipNull: false,
+            skipEmpty: false,
+            format: 'any',
+            not: false,
+            on: null,
+            when: null
+          }
+        }
+      });
+
+    });
+
+  });
+
+  describe(".validate()", function() {
+
+    beforeEach(function() {
+      this.validator = new Validator();
+      this.validator.rule('title', 'not:empty');
+    });
+
+    it("resolves an immutable result object", function(done) {
+
+      co(function*() {
+        var data = { title: '' };
+        var result = yield this.validator.validate(data);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual({ title: ['must not be a empty'] });
+        expect(result.data).toBe(data);
+
+        expect(Object.isFrozen(result)).toBe(true);
+        expect(Object.isFrozen(result.errors)).toBe(true);
+        expect(Object.isFrozen(result.errors.title)).toBe(true);
+        done();
+      }.bind(this));
+
+    });
+
+    it("validates the filtered data", function(done) {
+
+      co(function*() {
+        var validator = new Validator();
+        validator.filter('email', ['trim', 'lowercase']);
+        validator.filter('newsletter', 'toBoolean');
+        validator.rule('email', 'email');
+        validator.rule('newsletter', { inList: { list: [true, false] } });
+
+        var result = yield validator.validate({ email: ' Willy@Boy.com ', newsletter: 'yes' });
+
+        expect(result.valid).toBe(true);
+        expect(result.data).toEqual({ email: 'willy@boy.com', newsletter: true });
+        done();
+      });
+
+    });
+
+    it("doesn't log errors on the instance", function(done) {
+
+      co(function*() {
+        var result = yield this.validator.validate({ title: '' });
+
+        expect(result.valid).toBe(false);
+        expect(this.validator.errors()).toEqual({});
+        done();
+      }.bind(this));
+
+    });
+
+    it("supports overlapping validations", function(done) {
+
+      co(function*() {
+        this.validator.set('slow', function(value) {
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              resolve(value === 'ok');
+            }, value === 'ok' ? 20 : 5);
+          });
+        });
+        this.validator.rule('name', 'slow');
+
+        var results = yield [
+          this.validator.validate({ title: 'hello', name: 'ok' }),
+          this.validator.validate({ title: '', name: 'ko' })
+        ];
+
+        expect(results[0].valid).toBe(true);
+        expect(results[0].errors).toEqual({});
+        expect(results[1].valid).toBe(false);
+        expect(results[1].errors).toEqual({ title: ['must not be a empty'], name: ['is invalid'] });
+        done();
+      }.bind(this));
+
+    });
+
+    context("with the `concurrency` option", function() {
+
+      beforeEach(function() {
+        this.running = 0;
+        this.peak = 0;
+        this.validator = new Validator();
+        this.validator.set('unique', function(value) {
+          this.running++;
+          this.peak = Math.max(this.peak, this.running);
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              this.running--;
+              resolve(value !== 'taken');
+            }.bind(this), value === 'slow' ? 20 : 5);
+          }.bind(this));
+        }.bind(this));
+        for (var i = 1; i <= 6; i++) {
+          this.validator.rule('field' + i, 'unique');
+        }
+      });
+
+      it("validates fields sequentially by default", function(done) {
+
+        co(function*() {
+          var result = yield this.validator.validate({ field1: 'a', field2: 'b', field3: 'c', field4: 'd', field5: 'e', field6: 'f' });
+
+          expect(result.valid).toBe(true);
+          expect(this.peak).toBe(1);
+          done();
+        }.bind(this));
+
+      });
+
+      it("validates up to `concurrency` fields at the same time", function(done) {
+
+        co(function*() {
+          var result = yield this.validator.validate({ field1: 'a', field2: 'b', field3: 'c', field4: 'd', field5: 'e', field6: 'f' }, { concurrency: 3 });
+
+          expect(result.valid).toBe(true);
+          expect(this.peak).toBe(3);
+          done();
+        }.bind(this));
+
+      });
+
+      it("merges the errors in the rules order", function(done) {
+
+        co(function*() {
+          var data = { field1: 'slow', field2: 'taken', field3: 'c', field4: 'taken', field5: 'e', field6: 'f' };
+          this.validator.rule('field1', { 'not:unique': { message: 'must be fast' } });
+          var result = yield this.validator.validate(data, { concurrency: 6 });
+
+          expect(Object.keys(result.errors)).toEqual(['field1', 'field2', 'field4']);
+          expect(result).toEqual(yield this.validator.validate(data));
+          done();
+        }.bind(this));
+
+      });
+
+      it("stops starting new fields with `abortEarly`", function(done) {
+
+        co(function*() {
+          var data = { field1: 'slow', field2: 'taken', field3: 'c', field4: 'taken', field5: 'e', field6: 'f' };
+          var result = yield this.validator.validate(data, { concurrency: 2, abortEarly: true });
+
+          expect(result.errors).toEqual({ field2: ['is invalid'] });
+          done();
+        }.bind(this));
+
+      });
+
+      it("is ignored by synchronous validations", function() {
+
+        var validator = new Validator();
+        validator.rule('title', 'not:empty');
+        validator.rule('body', 'not:empty');
+
+        var result = validator.validateSync({ title: '', body: '' }, { concurrency: 2 });
+        expect(Object.keys(result.errors)).toEqual(['title', 'body']);
+
+      });
+
+    });
+
+    context("with the `partial` option", function() {
+
+      beforeEach(function() {
+        this.validator = new Validator();
+        this.validator.rule('title', 'not:empty');
+        this.validator.rule('body', 'not:empty');
+        this.validator.rule('tags.*', 'lengthMin:2');
+        this.validator.rule('password', 'lengthMin:6');
+        this.validator.rule('confirm', { equalTo: { key: 'password' } });
+        this.validator.rule('company', { requiredIf: { key: 'type', value: 'business' } });
+        this.validator.rule('vat', { 'not:empty': { when: { field: 'type', is: 'business' } } });
+      });
+
+      it("skips the rules of absent fields", function(done) {
+
+        co(function*() {
+          var result = yield this.validator.validate({ title: 'new title' }, { partial: true });
+          expect(result.valid).toBe(true);
+
+          result = yield this.validator.validate({ title: 'new title' });
+          expect(result.valid).toBe(false);
+          done();
+        }.bind(this));
+
+      });
+
+      it("validates present fields", function(done) {
+
+        co(function*() {
+          var result = yield this.validator.validate({ body: '', tags: ['a', 'js'] }, { partial: true });
+          expect(result.errors).toEqual({ body: ['must not be a empty'], 'tags.0': ['must contain greater than 2 characters'] });
+          done();
+        }.bind(this));
+
+      });
+
+      it("evaluates cross-field rules against the current document", function(done) {
+
+        co(function*() {
+          var current = { title: 'title', body: 'body', password: 'secret', type: 'business', company: 'ACME', vat: 'FR123' };
+
+          var result = yield this.validator.validate({ confirm: 'secret' }, { partial: true, current: current });
+          expect(result.valid).toBe(true);
+
+          result = yield this.validator.validate({ confirm: 'other' }, { partial: true, current: current });
+          expect(Object.keys(result.errors)).toEqual(['confirm']);
+
+          result = yield this.validator.validate({ vat: '' }, { partial: true, current: current });
+          expect(result.errors).toEqual({ vat: ['must not be a empty'] });
+
+          result = yield this.validator.validate({ vat: '' }, { partial: true, current: { type: 'personal' } });
+          expect(result.valid).toBe(true);
+          expect(result.data).toEqual({ vat: '' });
+          done();
+        }.bind(this));
+
+      });
+
+      it("checks implicit rules of absent fields against the current document", function() {
+
+        this.validator.rule('vat', { requiredIf: { key: 'country', value: 'FR' } });
+
+        var result = this.validator.validateSync({ country: 'FR' }, { partial: true, current: { country: 'US' } });
+        expect(result.errors).toEqual({ vat: ['is required when `country` is `FR`'] });
+
+        result = this.validator.validateSync({ country: 'FR' }, { partial: true, current: { country: 'US', vat: 'FR123' } });
+        expect(result.valid).toBe(true);
+
+        result = this.validator.validateSync({ type: 'business' }, { partial: true });
+        expect(result.errors).toEqual({ company: ['is required when `type` is `business`'] });
+
+      });
+
+      it("requires the missing values of present `*` parents", function() {
+
+        this.validator.rule('items.*.sku', 'not:empty');
+
+        var result = this.validator.validateSync({ items: [{ qty: 1 }] }, { partial: true });
+        expect(result.errors).toEqual({ 'items.0.sku': ['is required'] });
+
+        result = this.validator.validateSync({ items: [{ sku: 'A1', qty: 1 }] }, { partial: true });
+        expect(result.valid).toBe(true);
+
+      });
+
+      it("evaluates nested validators against the current sub document", function() {
+
+        var address = new Validator();
+        address.rule('city', 'not:empty');
+        address.rule('zip', { 'not:empty': { when: { field: 'country', is: 'FR' } } });
+        this.validator.rule('address', { schema: { validator: address } });
+
+        var current = { address: { city: 'Paris', country: 'FR', zip: '75001' } };
+        var result = this.validator.validateSync({ address: { zip: '' } }, { partial: true, current: current });
+        expect(result.errors).toEqual({ 'address.zip': ['must not be a empty'] });
+
+      });
+
+    });
+
+    context("with the `signal` option", function() {
+
+      beforeEach(function() {
+        this.calls = [];
+        this.validator = new Validator();
+        this.validator.set('remote', function(value, options) {
+          this.calls.push(value);
+          this.signal = options.signal;
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              resolve(true);
+            }, 20);
+          });
+        }.bind(this));
+        this.validator.rule('first', 'remote');
+        this.validator.rule('second', 'remote');
+      });
+
+      it("passes the signal to handlers", function(done) {
+
+        co(function*() {
+          var controller = new AbortController();
+          var result = yield this.validator.validate({ first: 1, second: 2 }, { signal: controller.signal });
+
+          expect(result.valid).toBe(true);
+          expect(this.signal).toBe(controller.signal);
+          done();
+        }.bind(this));
+
+      });
+
+      it("rejects with an `AbortError` and stops checking rules once aborted", function(done) {
+
+        var controller = new AbortController();
+        this.validator.validates({ first: 1, second: 2 }, { signal: controller.signal }).catch(function(e) {
+          expect(e.name).toBe('AbortError');
+          expect(e.message).toBe('The validation has been aborted.');
+          setTimeout(function() {
+            expect(this.calls).toEqual([1]);
+            done();
+          }.bind(this), 30);
+        }.bind(this));
+        setTimeout(function() {
+          controller.abort();
+        }, 5);
+
+      });
+
+      it("rejects without checking any rule when already aborted", function(done) {
+
+        var controller = new AbortController();
+        controller.abort();
+        this.validator.validate({ first: 1, second: 2 }, { signal: controller.signal }).catch(function(e) {
+          expect(e.name).toBe('AbortError');
+          expect(this.calls).toEqual([]);
+          done();
+        }.bind(this));
+
+      });
+
+    });
+
+    context("with the `timeout` option", function() {
+
+      beforeEach(function() {
+        this.validator = new Validator();
+        this.validator.set('hanging', function(value) {
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              resolve(true);
+            }, value);
+          });
+        });
+      });
+
+      it("fails the rules which take too long", function(done) {
+
+        co(function*() {
+          this.validator.rule('name', { hanging: { timeout: 10 } });
+
+          var result = yield this.validator.validate({ name: 50 });
+          expect(result.valid).toBe(false);
+          expect(result.errors).toEqual({ name: ['could not be validated within 10ms'] });
+
+          result = yield this.validator.validate({ name: 1 });
+          expect(result.valid).toBe(true);
+          done();
+        }.bind(this));
+
+      });
+
+      it("applies to all rules as a validation option", function(done) {
+
+        co(function*() {
+          var validator = new Validator({ errorMode: 'object' });
+          validator.set('hanging', this.validator.get('hanging'));
+          validator.rule('name', 'hanging');
+          validator.rule('title', { hanging: { code: 'slow' } });
+
+          var result = yield validator.validate({ name: 50, title: 50 }, { timeout: 10 });
+          expect(result.errors.name[0].code).toBe('timeout');
+          expect(result.errors.title[0].code).toBe('timeout');
+          expect(result.errors.title[0].rule).toBe('hanging');
+          expect(result.errors.title[0].params).toEqual({ timeout: 10 });
+          done();
+        }.bind(this));
+
+      });
+
+    });
+
+  });
+
+  describe(".validates()", function() {
+
+    beforeEach(function() {
+      this.validator = new Validator();
+    });
+
+    it("fails for rules with missing data", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', 'not:empty');
+
+        expect(yield this.validator.validates({})).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['is required'] });
+
+        expect(yield this.validator.validates({ title: '' })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['must not be a empty'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks the present values of `*` paths only", function(done) {
+
+      co(function*() {
+        this.validator.rule('items.*.sku', 'not:empty');
+
+        expect(yield this.validator.validates({ items: [{ sku: 'A1' }, { qty: 1 }] })).toBe(true);
+
+        expect(yield this.validator.validates({ items: [{ sku: 'A1' }, { qty: 1 }, { sku: '' }] })).toBe(false);
+        expect(this.validator.errors()).toEqual({ 'items.2.sku': ['must not be a empty'] });
+
+        expect(yield this.validator.validates({ items: [{ qty: 1 }] })).toBe(false);
+        expect(this.validator.errors()).toEqual({ 'items.*.sku': ['is required'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("fails for rules with missing data and uses a custom message", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', {
+          'not:empty': { message: 'please enter a title' }
+        });
+
+        expect(yield this.validator.validates({})).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['is required'] });
+
+        expect(yield this.validator.validates({ title: '' })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['please enter a title'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("allows short syntax", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', { 'not:empty': 'please enter a title' });
+
+        expect(yield this.validator.validates({ title: '' })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['please enter a title'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks all rules", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', {
+          'not:empty': { message: 'please enter a ${field}' },
+          lengthBetween: { min: 1, max: 7, message: 'must be between ${min} and ${max} character long' }
+        });
+
+        expect(yield this.validator.validates({})).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['is required'] });
+
+        expect(yield this.validator.validates({ title: '' })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: [
+          'please enter a title',
+          'must be between 1 and 7 character long'
+        ] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks all rules using the alternative syntax", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', [
+          { 'not:empty': { message: 'please enter a ${field}' } },
+          { lengthBetween: { min: 1, max: 7, message: 'must be between ${min} and ${max} character long' } }
+        ]);
+
+        expect(yield this.validator.validates({})).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['is required'] });
+
+        expect(yield this.validator.validates({ title: '' })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: [
+          'please enter a title',
+          'must be between 1 and 7 character long'
+        ] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("passes for rules with missing data but not required", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', {
+          'not:empty': {
+            message: 'please enter a ${field}',
+            required: false
+          }
+        });
+
+        expect(yield this.validator.validates({})).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+        done();
+      }.bind(this));
+
+    });
+
+    it("passes for rules with empty data but allowed by skipNull", function(done) {
+
+      co(function*() {
+        this.validator.rule('phone', {
+          'phone': {
+            message: 'please enter a phone',
+            skipNull: true
+          }
+        });
+
+        expect(yield this.validator.validates({ phone: null })).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+
+        expect(yield this.validator.validates({ phone: '' })).toBe(false);
+        expect(yield this.validator.validates({ phone: '0' })).toBe(false);
+        expect(yield this.validator.validates({ phone: 0 })).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+    it("passes for rules with empty data but allowed by skipEmpty", function(done) {
+
+      co(function*() {
+        this.validator.rule('phone', {
+          'phone': {
+            message: 'please enter a phone',
+            skipEmpty: true
+          }
+        });
+
+        expect(yield this.validator.validates({ phone: null })).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+
+        expect(yield this.validator.validates({ phone: '' })).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+
+        expect(yield this.validator.validates({ phone: '0' })).toBe(false);
+        expect(yield this.validator.validates({ phone: 0 })).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+    it("passes if valid", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', 'not:empty');
+        expect(yield this.validator.validates({ title: 'new title' })).toBe(true);
+
+        expect(this.validator.errors()).toEqual({});
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks rules which fit the event", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', {
+          'not:empty': {
+            message: 'please enter a ${field}',
+            on: 'create'
+          }
+        });
+
+        expect(yield this.validator.validates({ title: '' }, { events: 'create' })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['please enter a title'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("ignores rules which doesn't fit the event", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', {
+          'not:empty': {
+            message: 'please enter a ${field}',
+            on: 'create'
+          }
+        });
+
+        expect(yield this.validator.validates({ title: '' }, { events: 'update' })).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks rules which satisfy a conditional function", function(done) {
+
+      co(function*() {
+        this.validator.rule('vatNumber', {
+          'not:empty': {
+            when: function(data) {
+              return ['FR', 'DE'].indexOf(data.country) !== -1;
+            }
+          }
+        });
+
+        expect(yield this.validator.validates({ country: 'FR' })).toBe(false);
+        expect(this.validator.errors()).toEqual({ vatNumber: ['is required'] });
+
+        expect(yield this.validator.validates({ country: 'US' })).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks rules which satisfy a declarative condition", function(done) {
+
+      co(function*() {
+        this.validator.rule('companyName', {
+          'not:empty': {
+            when: { field: 'account.type', is: 'business' }
+          }
+        });
+
+        expect(yield this.validator.validates({ account: { type: 'business' }, companyName: '' })).toBe(false);
+        expect(this.validator.errors()).toEqual({ companyName: ['must not be a empty'] });
+
+        expect(yield this.validator.validates({ account: { type: 'personal' } })).toBe(true);
+        expect(yield this.validator.validates({})).toBe(true);
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks implicit rules against missing values", function(done) {
+
+      co(function*() {
+        this.validator.rule('companyName', {
+          requiredIf: { key: 'account.type', value: 'business' }
+        });
+        this.validator.rule('email', {
+          requiredWithout: { fields: 'phone' },
+          email: { required: false }
+        });
+
+        expect(yield this.validator.validates({ account: { type: 'business' } })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          companyName: ['is required when `account.type` is `business`'],
+          email: ['is required when `phone` is not present']
+        });
+
+        expect(yield this.validator.validates({ account: { type: 'personal' }, phone: '0123456789' })).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+
+        expect(yield this.validator.validates({ account: { type: 'business' }, companyName: '', email: 'invalid' })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          companyName: ['is required when `account.type` is `business`'],
+          email: ['is not a valid email address']
+        });
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks implicit rules against missing values of `*` paths", function(done) {
+
+      co(function*() {
+        this.validator.rule('items.*.sku', { requiredWith: { fields: 'items.*.qty' } });
+        this.validator.rule('items.*.label', { requiredIf: { key: '$sibling.type', value: 'custom' } });
+
+        expect(yield this.validator.validates({ items: [{ sku: 'A1', qty: 1 }, { qty: 1, type: 'custom' }] })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          'items.1.sku': ['is required when `items.1.qty` is present'],
+          'items.1.label': ['is required when `items.1.type` is `custom`']
+        });
+
+        expect(yield this.validator.validates({ items: [{ sku: 'A1', qty: 1 }, { type: 'standard' }] })).toBe(true);
+        done();
+      }.bind(this));
+
+    });
+
+    it("reports the fields of implicit rules", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', {
+          requiredWithAll: { fields: ['firstName', 'lastName'] }
+        });
+
+        expect(yield this.validator.validates({ firstName: 'Willy', lastName: 'Boy' })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          title: ['is required when `firstName`, `lastName` are present']
+        });
+        done();
+      }.bind(this));
+
+    });
+
+    it("bails out a field after its first failure", function(done) {
+
+      co(function*() {
+        var unique = jasmine.createSpy('unique').and.returnValue(true);
+        this.validator.set('unique', unique);
+        this.validator.rule('email', {
+          'not:empty': { bail: true },
+          email: {},
+          unique: {}
+        });
+        this.validator.rule('emails.*', {
+          email: { bail: true },
+          unique: {}
+        });
+
+        expect(yield this.validator.validates({ email: '', emails: ['invalid', 'willy@boy.com'] })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          email: ['must not be a empty'],
+          'emails.0': ['is not a valid email address']
+        });
+        expect(unique.calls.count()).toBe(1);
+        expect(unique.calls.argsFor(0)[0]).toBe('willy@boy.com');
+        done();
+      }.bind(this));
+
+    });
+
+    it("bails out all fields using the bail option", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', {
+          'not:empty': {},
+          lengthBetween: { min: 1, max: 7 }
+        });
+
+        expect(yield this.validator.validates({ title: '' }, { bail: true })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['must not be a empty'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("aborts on the first failure using the abortEarly option", function(done) {
+
+      co(function*() {
+        var unique = jasmine.createSpy('unique').and.returnValue(true);
+        this.validator.set('unique', unique);
+        this.validator.rule('title', 'not:empty');
+        this.validator.rule('email', ['email', 'unique']);
+        this.validator.rule('name', 'not:empty');
+
+        expect(yield this.validator.validates({ title: '', email: 'willy@boy.com' }, { abortEarly: true })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['must not be a empty'] });
+        expect(unique).not.toHaveBeenCalled();
+
+        expect(yield this.validator.validates({ title: 'new title', email: 'willy@boy.com' }, { abortEarly: true })).toBe(false);
+        expect(this.validator.errors()).toEqual({ name: ['is required'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("reports undeclared fields in strict mode", function(done) {
+
+      co(function*() {
+        var validator = new Validator({ errorMode: 'object' });
+        validator.rule('title', 'not:empty');
+        validator.rule('people.*.email', 'email');
+        validator.rule('meta', { required: { required: false } });
+
+        var data = {
+          title: 'new title',
+          isAdmin: true,
+          people: [{ email: 'willy@boy.com', role: 'admin' }],
+          meta: { anything: 'goes' }
+        };
+
+        var result = yield validator.validate(data, { strict: true });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual({
+          isAdmin: [{
+            path: 'isAdmin',
+            rule: 'unknown',
+            code: 'unknown',
+            message: 'is not allowed',
+            params: {},
+            value: true
+          }],
+          'people.0.role': [{
+            path: 'people.0.role',
+            rule: 'unknown',
+            code: 'unknown',
+            message: 'is not allowed',
+            params: {},
+            value: 'admin'
+          }]
+        });
+
+        result = yield validator.validate(data);
+        expect(result.valid).toBe(true);
+        done();
+      });
+
+    });
+
+    it("strips undeclared fields in strict mode", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', 'not:empty');
+        this.validator.rule('people.*.email', 'email');
+
+        var data = {
+          title: 'new title',
+          isAdmin: true,
+          people: [{ email: 'willy@boy.com', role: 'admin' }]
+        };
+
+        var result = yield this.validator.validate(data, { strict: 'strip' });
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual({});
+        expect(result.data).toEqual({
+          title: 'new title',
+          people: [{ email: 'willy@boy.com' }]
+        });
+        expect(data.isAdmin).toBe(true);
+        done();
+      }.bind(this));
+
+    });
+
+    it("validates nested objects using another validator", function(done) {
+
+      co(function*() {
+        var address = new Validator();
+        address.rule('city', 'not:empty');
+        address.rule('zip', { integer: { required: false } });
+
+        this.validator.rule('address', { schema: { validator: address } });
+
+        expect(yield this.validator.validates({ address: { city: 'Paris' } })).toBe(true);
+
+        expect(yield this.validator.validates({ address: { city: '', zip: 'abc' } })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          'address.city': ['must not be a empty'],
+          'address.zip': ['must be an integer']
+        });
+
+        expect(yield this.validator.validates({})).toBe(false);
+        expect(this.validator.errors()).toEqual({ address: ['is required'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("fails nested validators for null and scalar values", function(done) {
+
+      co(function*() {
+        var address = new Validator();
+        address.rule('city', 'not:empty');
+
+        this.validator.rule('address', { schema: { validator: address } });
+        this.validator.rule('items.*', { schema: { validator: address } });
+
+        expect(yield this.validator.validates({ address: null, items: ['Paris', 12] })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          address: ['must be an object'],
+          'items.0': ['must be an object'],
+          'items.1': ['must be an object']
+        });
+
+        expect(yield this.validator.validates({ address: 'Paris', items: null })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          address: ['must be an object'],
+          'items.*': ['is required']
+        });
+
+        this.validator.rule('address', { schema: { validator: address, skipNull: true } });
+        expect(yield this.validator.validates({ address: null, items: [] })).toBe(false);
+        expect(this.validator.errors()).toEqual({ 'items.*': ['is required'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("validates items using another validator", function(done) {
+
+      co(function*() {
+        var item = new Validator({ errorMode: 'object' });
+        item.rule('sku', 'not:empty');
+        item.filter('sku', 'trim');
+
+        var validator = new Validator({ errorMode: 'object' });
+        validator.rule('items.*', { schema: { validator: item } });
+
+        var data = { items: [{ sku: ' A1 ' }, { sku: 'B2' }, { sku: ' ' }] };
+        var result = yield validator.validate(data);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual({
+          'items.2.sku': [{
+            path: 'items.2.sku',
+            rule: 'not:empty',
+            code: 'not:empty',
+            message: 'must not be a empty',
+            params: {},
+            value: ''
+          }]
+        });
+        expect(result.data).toEqual({ items: [{ sku: 'A1' }, { sku: 'B2' }, { sku: '' }] });
+        expect(data).toEqual({ items: [{ sku: ' A1 ' }, { sku: 'B2' }, { sku: ' ' }] });
+        done();
+      });
+
+    });
+
+    it("passes the validation options to nested validators", function(done) {
+
+      co(function*() {
+        var address = new Validator();
+        address.rule('city', 'not:empty');
+        this.validator.rule('address', { schema: { validator: address } });
+
+        expect(yield this.validator.validates({ address: { city: 'Paris', admin: true } }, { strict: true })).toBe(false);
+        expect(this.validator.errors()).toEqual({ 'address.admin': ['is not allowed'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("validates arrays of things", function(done) {
+
+      co(function*() {
+        this.validator.rule('emails.*', 'email');
+
+        expect(yield this.validator.validates({ emails: ['willy@boy.com', 'johnny@boy.com'] })).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+        done();
+      }.bind(this));
+
+    });
+
+    it("provides errors reporting for arrays of things", function(done) {
+
+      co(function*() {
+        this.validator.rule('emails.*', 'email');
+
+        expect(yield this.validator.validates({ emails: ['invalid', 'johnny@boy.com'] })).toBe(false);
+        expect(this.validator.errors()).toEqual({ 'emails.0': ['is not a valid email address'] });
+
+        expect(yield this.validator.validates({ emails: ['willy@boy.com', 'invalid'] })).toBe(false);
+        expect(this.validator.errors()).toEqual({ 'emails.1': ['is not a valid email address'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("validates nested structure", function(done) {
+
+      co(function*() {
+        this.validator.rule('people.*.email', 'email');
+
+        expect(yield this.validator.validates({
+          people: [
+            { email: 'willy@boy.com' },
+            { email: 'johnny@boy.com' }
+          ]
+        })).toBe(true);
+
+        expect(this.validator.errors()).toEqual({});
+        done();
+      }.bind(this));
+
+    });
+
+    it("provides errors reporting for nested structure", function(done) {
+
+      co(function*() {
+        this.validator.rule('people.*.email', 'email');
+
+        expect(yield this.validator.validates({
+          people: [
+            { email: 'invalid' },
+            { email: 'johnny@boy.com' }
+          ]
+        })).toBe(false);
+
+        expect(this.validator.errors()).toEqual({ 'people.0.email': ['is not a valid email address'] });
+
+        expect(yield this.validator.validates({
+          people: [
+            { email: 'willy@boy.com' },
+            { email: 'invalid' }
+          ]
+        })).toBe(false);
+
+        expect(this.validator.errors()).toEqual({ 'people.1.email': ['is not a valid email address'] });
+        done();
+      }.bind(this));
+    });
+
+    it("logs error objects in object mode", function(done) {
+
+      co(function*() {
+        var validator = new Validator({ errorMode: 'object' });
+        validator.rule('title', {
+          'not:empty': { message: 'please enter a ${field}' },
+          lengthBetween: { min: 1, max: 7, code: 'ERR_LENGTH' }
+        });
+
+        expect(yield validator.validates({})).toBe(false);
+        expect(validator.errors()).toEqual({ title: [{
+          path: 'title',
+          rule: 'not:empty',
+          code: 'required',
+          message: 'is required',
+          params: {},
+          value: undefined
+        }] });
+
+        expect(yield validator.validates({ title: '' })).toBe(false);
+        expect(validator.errors()).toEqual({ title: [{
+          path: 'title',
+          rule: 'not:empty',
+          code: 'not:empty',
+          message: 'please enter a title',
+          params: {},
+          value: ''
+        }, {
+          path: 'title',
+          rule: 'lengthBetween',
+          code: 'ERR_LENGTH',
+          message: 'must be between 1 and 7 characters',
+          params: { min: 1, max: 7 },
+          value: ''
+        }] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("logs error objects with the handler parameters and the value path", function(done) {
+
+      co(function*() {
+        var validator = new Validator({ errorMode: 'object' });
+        validator.rule('people.*.born', { dateBefore: { date: '2014-12-31 11:59:59' } });
+
+        expect(yield validator.validates({
+          people: [
+            { born: '2000-01-01 00:00:00' },
+            { born: '2020-01-01 00:00:00' }
+          ]
+        })).toBe(false);
+
+        expect(validator.errors()).toEqual({ 'people.1.born': [{
+          path: 'people.1.born',
+          rule: 'dateBefore',
+          code: 'dateBefore',
+          message: 'must be date before 2014-12-31 11:59:59',
+          params: { date: '2014-12-31 11:59:59' },
+          value: '2020-01-01 00:00:00'
+        }] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("validates composite rules", function(done) {
+
+      co(function*() {
+        this.validator.rule('contact', { anyOf: { rules: ['email', ['phone', { lengthMin: { length: 10 } }]] } });
+        this.validator.rule('code', { oneOf: { rules: ['integer', { lengthMax: { length: 3 } }] } });
+        this.validator.rule('name', { allOf: { rules: ['alphaNumeric', { lengthMin: { length: 2 } }] } });
+        this.validator.rule('nickname', { noneOf: { rules: ['email', 'url'] } });
+
+        expect(yield this.validator.validates({
+          contact: '+33612345678',
+          code: 'abc',
+          name: 'Willy',
+          nickname: 'willy'
+        })).toBe(true);
+
+        expect(yield this.validator.validates({
+          contact: 'willy',
+          code: '12',
+          name: 'W',
+          nickname: 'willy@boy.com'
+        })).toBe(false);
+
+        expect(this.validator.errors()).toEqual({
+          contact: ['must satisfy at least one of `email`, `phone & lengthMin`'],
+          code: ['must satisfy exactly one of `integer`, `lengthMax`'],
+          name: ['must satisfy all of `alphaNumeric`, `lengthMin`'],
+          nickname: ['must not satisfy any of `email`, `url`']
+        });
+        done();
+      }.bind(this));
+
+    });
+
+    it("reports the composite branches in error objects", function(done) {
+
+      co(function*() {
+        var validator = new Validator({ errorMode: 'object' });
+        validator.rule('contact', { anyOf: { rules: ['email', ['phone', { lengthMin: { length: 10 } }]] } });
+
+        expect(yield validator.validates({ contact: '0612' })).toBe(false);
+        expect(validator.errors()).toEqual({ contact: [{
+          path: 'contact',
+          rule: 'anyOf',
+          code: 'anyOf',
+          message: 'must satisfy at least one of `email`, `phone & lengthMin`',
+          params: {
+            rules: 'email`, `phone & lengthMin',
+            branches: [
+              { rules: ['email'], valid: false, failures: ['email'] },
+              { rules: ['phone', 'lengthMin'], valid: false, failures: ['phone', 'lengthMin'] }
+            ]
+          },
+          value: '0612'
+        }] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("allows negated and nested composite rules", function(done) {
+
+      co(function*() {
+        this.validator.rule('value', { 'not:anyOf': { rules: [
+          'email',
+          { allOf: { rules: ['integer', { min: { min: 10 } }] } }
+        ] } });
+
+        expect(yield this.validator.validates({ value: '5' })).toBe(true);
+        expect(yield this.validator.validates({ value: '15' })).toBe(false);
+        expect(yield this.validator.validates({ value: 'willy@boy.com' })).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+    it("wires the `format` option", function(done) {
+
+      co(function*() {
+        var validator = new Validator({ errorMode: 'object' });
+        validator.set('postalCode', {
+          us: /^\d{5}(?:[-\s]\d{4})?$/,
+          fr: /^(F-)?((2[A|B])|[0-9]{2})[0-9]{3}$/
+        });
+        validator.rule('zip', { postalCode: { format: 'fr' } });
+        validator.rule('code', { postalCode: { format: 'all' } });
+        validator.rule('card', { 'not:creditCard': { message: 'must not be a card' } });
+
+        expect(yield validator.validates({ zip: '30700', code: '30700', card: 'none' })).toBe(true);
+        expect(yield validator.validates({ zip: '30700-1234', code: '2A123', card: '4111111111111111' })).toBe(false);
+
+        var errors = validator.errors();
+        expect(Object.keys(errors)).toEqual(['zip', 'code', 'card']);
+        expect(errors.card[0].params).toEqual({ format: 'visa' });
+        done();
+      });
+
+    });
+
+    it("allows null as a value", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', { 'not:empty': 'please enter a title' });
+
+        expect(yield this.validator.validates({ title: null })).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['please enter a title'] });
+
+        done();
+      }.bind(this));
+
+    });
+
+    it("resolves path references of cross-field rules", function(done) {
+
+      co(function*() {
+        var validator = new Validator({ errorMode: 'object' });
+        validator.rule('account.password.confirm', 'equalTo:account.password.value');
+        validator.rule('periods.*.end', 'gt:$sibling.start');
+        validator.rule('periods.*.start', 'gte:$parent.opening');
+        validator.rule('periods.*.label', 'different:periods.*.name');
+
+        var valid = yield validator.validates({
+          account: { password: { value: 'secret', confirm: 'secret' } },
+          opening: 10,
+          periods: [
+            { start: 10, end: 20, name: 'morning', label: 'AM' },
+            { start: 5, end: 4, name: 'evening', label: 'evening' }
+          ]
+        });
+        expect(valid).toBe(false);
+
+        var errors = validator.errors();
+        expect(Object.keys(errors)).toEqual(['periods.1.end', 'periods.1.start', 'periods.1.label']);
+        expect(errors['periods.1.end'][0].message).toBe('must be greater than the field `periods.1.start`');
+        expect(errors['periods.1.end'][0].params).toEqual({ key: 'periods.1.start' });
+        expect(errors['periods.1.start'][0].message).toBe('must be greater than or equal to the field `opening`');
+        expect(errors['periods.1.label'][0].message).toBe('must be different from the field `periods.1.name`');
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".parse()", function() {
+
+    beforeEach(function() {
+      this.validator = new Validator();
+    });
+
+    it("parses pipe-string rules", function() {
+
+      expect(this.validator.parse('required|not:empty|lengthBetween:3,20|inList:a,b,c')).toEqual({
+        required: {},
+        'not:empty': {},
+        lengthBetween: { min: 3, max: 20 },
+        inList: { list: ['a', 'b', 'c'] }
+      });
+
+    });
+
+    it("maps rest arguments and negated rules", function() {
+
+      expect(this.validator.parse('requiredIf:status,draft,review|not:inList:1,2.5,x')).toEqual({
+        requiredIf: { key: 'status', value: ['draft', 'review'] },
+        'not:inList': { list: ['1', '2.5', 'x'] }
+      });
+
+    });
+
+    it("casts numeric arguments of the options declared as numbers only", function() {
+
+      expect(this.validator.parse('lengthBetween:3,20|inRange:-1.5,10|requiredIf:type,1|equalTo:123')).toEqual({
+        lengthBetween: { min: 3, max: 20 },
+        inRange: { lower: -1.5, upper: 10 },
+        requiredIf: { key: 'type', value: ['1'] },
+        equalTo: { key: '123' }
+      });
+
+      this.validator.rule('company', 'requiredIf:type,1');
+      this.validator.rule('code', 'equalTo:123');
+      expect(this.validator.validatesSync({ type: '1', 123: 'A1', code: 'A1' })).toBe(false);
+      expect(Object.keys(this.validator.errors())).toEqual(['company']);
+
+    });
+
+    it("keeps the whole argument string for single option signatures", function() {
+
+      expect(this.validator.parse('pattern:^[a-z]{2,5}$|dateAfter:2014-12-31 11:59:59')).toEqual({
+        pattern: { pattern: '^[a-z]{2,5}$' },
+        dateAfter: { date: '2014-12-31 11:59:59' }
+      });
+
+    });
+
+    it("supports namespaced handlers", function() {
+
+      this.validator.use({
+        namespace: 'fr',
+        handlers: { siren: /^[0-9]{9}$/, between: function() { return true; } },
+        signatures: { between: ['lower', 'upper'] },
+        options: { between: { lower: 'number', upper: 'number' } }
+      });
+
+      expect(this.validator.parse('fr:siren|not:fr:siren|fr:between:1,5')).toEqual({
+        'fr:siren': {},
+        'not:fr:siren': {},
+        'fr:between': { lower: 1, upper: 5 }
+      });
+
+    });
+
+    it("throws an exception for unexpected arguments", function() {
+
+      var closure = function() {
+        this.validator.parse('lengthBetween:1,2,3');
+      }.bind(this);
+      expect(closure).toThrow(new Error("Too many arguments for `lengthBetween` rule, expected `min`, `max`."));
+
+      closure = function() {
+        this.validator.parse('email:strict');
+      }.bind(this);
+      expect(closure).toThrow(new Error("Unexpected arguments for `email` rule."));
+
+    });
+
+    it("is used to define rules", function(done) {
+
+      co(function*() {
+        this.validator.rule('title', 'not:empty|lengthBetween:3,20');
+        this.validator.rule('status', ['inList:draft,published', { lengthMin: { length: 6, message: 'too short' } }]);
+
+        expect(Object.keys(this.validator.rules().title)).toEqual(['not:empty', 'lengthBetween']);
+        expect(this.validator.rules().title.lengthBetween).toContainKeys('min', 'max');
+
+        expect(yield this.validator.validates({ title: 'hi', status: 'draft' })).toBe(false);
+        expect(this.validator.errors()).toEqual({
+          title: ['must be between 3 and 20 characters'],
+          status: ['too short']
+        });
+        done();
+      }.bind(this));
+
+    });
+
+  });
+
+  describe(".validateSync()", function() {
+
+    it("validates synchronously", function() {
+
+      var validator = new Validator();
+      validator.filter('title', 'trim');
+      validator.rule('title', 'not:empty|lengthBetween:3,20');
+      validator.rule('contact', { anyOf: { rules: ['email', 'phone'] } });
+
+      var result = validator.validateSync({ title: '  hi  ', contact: 'willy@boy.com' });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual({ title: ['must be between 3 and 20 characters'] });
+      expect(result.data).toEqual({ title: 'hi', contact: 'willy@boy.com' });
+      expect(Object.isFrozen(result)).toBe(true);
+
+    });
+
+    it("validates nested validators synchronously", function() {
+
+      var address = new Validator();
+      address.rule('city', 'not:empty');
+
+      var validator = new Validator();
+      validator.rule('address', { schema: { validator: address } });
+
+      expect(validator.validateSync({ address: { city: '' } }).errors).toEqual({
+        'address.city': ['must not be a empty']
+      });
+
+    });
+
+    it("throws an exception for asynchronous handlers or filters", function() {
+
+      var validator = new Validator();
+      validator.set('remote', function(value) {
+        return Promise.resolve(true);
+      });
+      validator.rule('name', 'remote');
+
+      var closure = function() {
+        validator.validateSync({ name: 'willy' });
+      };
+      expect(closure).toThrow(new Error("Unable to run synchronously, an asynchronous handler returned a promise."));
+
+      validator = new Validator();
+      validator.filter('name', function(value) {
+        return Promise.resolve(value);
+      });
+      expect(closure).toThrow(new Error("Unable to run synchronously, an asynchronous handler returned a promise."));
+
+    });
+
+  });
+
+  describe(".validatesSync()", function() {
+
+    it("validates synchronously and logs the errors", function() {
+
+      var validator = new Validator();
+      validator.rule('title', 'not:empty');
+
+      expect(validator.validatesSync({ title: 'new title' })).toBe(true);
+      expect(validator.errors()).toEqual({});
+
+      expect(validator.validatesSync({ title: '' })).toBe(false);
+      expect(validator.errors()).toEqual({ title: ['must not be a empty'] });
+
+    });
+
+  });
+
+  describe(".validateField()", function() {
+
+    beforeEach(function() {
+      this.checked = [];
+      this.validator = new Validator();
+      this.validator.set('unique', function(value) {
+        this.checked.push(value);
+        return Promise.resolve(value !== 'taken');
+      }.bind(this));
+      this.validator.rule('username', 'unique');
+      this.validator.rule('title', 'not:empty');
+      this.validator.rule('password', 'lengthMin:6');
+      this.validator.rule('confirm', { equalTo: { key: 'password', message: 'must match the password' } });
+      this.validator.rule('emails.*', { email: { required: false } });
+    });
+
+    it("only checks the rules of the field", function(done) {
+
+      co(function*() {
+        var data = { username: 'taken', title: '', password: 'secret', confirm: 'secret', emails: [] };
+
+        expect(yield this.validator.validateField('title', data)).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['must not be a empty'] });
+        expect(this.checked).toEqual([]);
+        done();
+      }.bind(this));
+
+    });
+
+    it("only updates the errors of the field", function(done) {
+
+      co(function*() {
+        var data = { username: 'taken', title: '', password: 'secret', confirm: 'secret', emails: [] };
+        yield this.validator.validates(data);
+        expect(Object.keys(this.validator.errors())).toEqual(['username', 'title']);
+
+        data.title = 'new title';
+        expect(yield this.validator.validateField('title', data)).toBe(true);
+        expect(this.validator.errors()).toEqual({ username: ['is invalid'] });
+
+        data.title = '';
+        expect(yield this.validator.validateField('title', data)).toBe(false);
+        expect(this.validator.errors()).toEqual({ username: ['is invalid'], title: ['must not be a empty'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("expands `*` paths", function(done) {
+
+      co(function*() {
+        var data = { emails: ['willy', 'johnny'] };
+
+        expect(yield this.validator.validateField('emails.1', data)).toBe(false);
+        expect(this.validator.errors()).toEqual({ 'emails.1': ['is not a valid email address'] });
+
+        data.emails[1] = 'johnny@boy.com';
+        expect(yield this.validator.validateField('emails.1', data)).toBe(true);
+        expect(this.validator.errors()).toEqual({});
+
+        expect(yield this.validator.validateField('emails', data)).toBe(false);
+        expect(this.validator.errors()).toEqual({ 'emails.0': ['is not a valid email address'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks the fields depending on the field", function(done) {
+
+      co(function*() {
+        var data = { password: 'secret', confirm: 'secret' };
+        expect(yield this.validator.validateField('confirm', data)).toBe(true);
+
+        data.password = 'changed';
+        expect(yield this.validator.validateField('password', data)).toBe(false);
+        expect(this.validator.errors()).toEqual({ confirm: ['must match the password'] });
+        done();
+      }.bind(this));
+
+    });
+
+    it("checks the fields depending on the field through relative references", function(done) {
+
+      co(function*() {
+        var validator = new Validator();
+        validator.rule('periods.*.start', 'numeric');
+        validator.rule('periods.*.end', 'gt:$sibling.start');
+
+        var data = { periods: [{ start: 1, end: 2 }, { start: 1, end: 2 }] };
+        data.periods[1].start = 3;
+
+        expect(yield validator.validateField('periods.1.start', data)).toBe(false);
+        expect(validator.errors()).toEqual({ 'periods.1.end': ['must be greater than the field `periods.1.start`'] });
+        done();
+      });
+
+    });
+
+    it("checks required fields", function(done) {
+
+      co(function*() {
+        expect(yield this.validator.validateField('title', {})).toBe(false);
+        expect(this.validator.errors()).toEqual({ title: ['is required'] });
+        done();
+      }.bind(this));
+
     });
+
   });
 
-  describe(".validates()", function() {
+  describe(".revalidate()", function() {
 
     beforeEach(function() {
+      this.checked = [];
       this.validator = new Validator();
+      this.validator.set('positive', function(value) {
+        this.checked.push(value);
+        return Promise.resolve(value > 0);
+      }.bind(this));
+      this.validator.rule('title', 'not:empty');
+      this.validator.rule('rows.*.cells.*', 'positive');
+      this.validator.rule('password', 'lengthMin:6');
+      this.validator.rule('confirm', { equalTo: { key: 'password' } });
+      this.data = {
+        title: 'grid',
+        rows: [{ cells: [1, 2, 3] }, { cells: [4, -5, 6] }],
+        password: 'secret',
+        confirm: 'secret'
+      };
     });
 
-    it("fails for rules with missing data", function(done) {
+    it("only checks the changed values", function(done) {
 
       co(function*() {
-        this.validator.rule('title', 'not:empty');
-
-        expect(yield this.validator.validates({})).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['is required'] });
-
-        expect(yield this.validator.validates({ title: '' })).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['must not be a empty'] });
+        var result = yield this.validator.validate(this.data);
+        expect(result.errors).toEqual({ 'rows.1.cells.1': ['is invalid'] });
+
+        var data = JSON.parse(JSON.stringify(this.data));
+        data.rows[0].cells[2] = -3;
+        data.rows[1].cells[1] = 5;
+        this.checked = [];
+
+        var next = yield this.validator.revalidate(this.data, result, data);
+        expect(this.checked).toEqual([-3, 5]);
+        expect(next).toEqual(yield this.validator.validate(data));
+        expect(Object.isFrozen(next)).toBe(true);
         done();
       }.bind(this));
 
     });
 
-    it("fails for rules with missing data and uses a custom message", function(done) {
+    it("reuses the previous outcomes of unchanged values", function(done) {
 
       co(function*() {
-        this.validator.rule('title', {
-          'not:empty': { message: 'please enter a title' }
-        });
-
-        expect(yield this.validator.validates({})).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['is required'] });
-
-        expect(yield this.validator.validates({ title: '' })).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['please enter a title'] });
+        var result = yield this.validator.validate(this.data);
+        var data = JSON.parse(JSON.stringify(this.data));
+        data.title = '';
+        this.checked = [];
+
+        var next = yield this.validator.revalidate(this.data, result, data);
+        expect(this.checked).toEqual([]);
+        expect(next.valid).toBe(false);
+        expect(next.errors).toEqual({ 'rows.1.cells.1': ['is invalid'], title: ['must not be a empty'] });
         done();
       }.bind(this));
 
     });
 
-    it("allows short syntax", function(done) {
+    it("checks the dependents of the changed values", function(done) {
 
       co(function*() {
-        this.validator.rule('title', { 'not:empty': 'please enter a title' });
+        var result = yield this.validator.validate(this.data);
+        var data = JSON.parse(JSON.stringify(this.data));
+        data.password = 'changed';
 
-        expect(yield this.validator.validates({ title: '' })).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['please enter a title'] });
+        var next = yield this.validator.revalidate(this.data, result, data);
+        expect(next.errors).toEqual({ 'rows.1.cells.1': ['is invalid'], confirm: ['must be the equal to the field `password`'] });
         done();
       }.bind(this));
 
     });
 
-    it("checks all rules", function(done) {
+    it("checks the implicit rules depending on the changed values", function(done) {
 
       co(function*() {
-        this.validator.rule('title', {
-          'not:empty': { message: 'please enter a ${field}' },
-          lengthBetween: { min: 1, max: 7, message: 'must be between ${min} and ${max} character long' }
-        });
-
-        expect(yield this.validator.validates({})).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['is required'] });
-
-        expect(yield this.validator.validates({ title: '' })).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: [
-          'please enter a title',
-          'must be between 1 and 7 character long'
-        ] });
+        var validator = new Validator();
+        validator.rule('country', { inList: { list: ['US', 'FR'] } });
+        validator.rule('mobile', { phone: { required: false } });
+        validator.rule('phone', { requiredWith: { fields: ['mobile', 'fax'] } });
+        validator.rule('vat', { requiredIf: { key: 'country', value: 'FR' } });
+
+        var previous = { country: 'US' };
+        var result = yield validator.validate(previous);
+        expect(result.valid).toBe(true);
+
+        var data = { country: 'FR', mobile: '0612' };
+        var next = yield validator.revalidate(previous, result, data);
+        expect(Object.keys(next.errors).sort()).toEqual(['mobile', 'phone', 'vat']);
+        expect(next).toEqual(yield validator.validate(data));
         done();
-      }.bind(this));
+      });
 
     });
 
-    it("checks all rules using the alternative syntax", function(done) {
+    it("checks removed values", function(done) {
 
       co(function*() {
-        this.validator.rule('title', [
-          { 'not:empty': { message: 'please enter a ${field}' } },
-          { lengthBetween: { min: 1, max: 7, message: 'must be between ${min} and ${max} character long' } }
-        ]);
-
-        expect(yield this.validator.validates({})).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['is required'] });
-
-        expect(yield this.validator.validates({ title: '' })).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: [
-          'please enter a title',
-          'must be between 1 and 7 character long'
-        ] });
+        var result = yield this.validator.validate(this.data);
+        var data = JSON.parse(JSON.stringify(this.data));
+        delete data.title;
+        data.rows[1].cells.pop();
+
+        var next = yield this.validator.revalidate(this.data, result, data);
+        expect(next).toEqual(yield this.validator.validate(data));
+        expect(next.errors.title).toEqual(['is required']);
         done();
       }.bind(this));
 
     });
 
-    it("passes for rules with missing data but not required", function(done) {
+    it("always checks conditional rules", function() {
 
-      co(function*() {
-        this.validator.rule('title', {
-          'not:empty': {
-            message: 'please enter a ${field}',
-            required: false
-          }
-        });
+      var validator = new Validator();
+      validator.rule('coupon', { 'not:empty': { when: { field: 'plan', is: 'premium' } } });
+      validator.rule('plan', { inList: { list: ['free', 'premium'] } });
 
-        expect(yield this.validator.validates({})).toBe(true);
-        expect(this.validator.errors()).toEqual({});
-        done();
-      }.bind(this));
+      var data = { plan: 'free', coupon: '' };
+      var result = validator.validateSync(data);
+      expect(result.valid).toBe(true);
+
+      var next = validator.revalidateSync(data, result, { plan: 'premium', coupon: '' });
+      expect(next.errors).toEqual({ coupon: ['must not be a empty'] });
 
     });
 
-    it("passes for rules with empty data but allowed by skipNull", function(done) {
+    it("checks unknown values in strict mode", function() {
 
-      co(function*() {
-        this.validator.rule('phone', {
-          'phone': {
-            message: 'please enter a phone',
-            skipNull: true
-          }
-        });
+      var validator = new Validator();
+      validator.rule('title', 'not:empty');
 
-        expect(yield this.validator.validates({ phone: null })).toBe(true);
-        expect(this.validator.errors()).toEqual({});
+      var data = { title: 'new title', isAdmin: true };
+      var result = validator.validateSync(data, { strict: true });
+      expect(result.errors).toEqual({ isAdmin: ['is not allowed'] });
 
-        expect(yield this.validator.validates({ phone: '' })).toBe(false);
-        expect(yield this.validator.validates({ phone: '0' })).toBe(false);
-        expect(yield this.validator.validates({ phone: 0 })).toBe(false);
-        done();
-      }.bind(this));
+      var next = validator.revalidateSync(data, result, { title: 'new title', role: 'admin' }, { strict: true });
+      expect(next.errors).toEqual({ role: ['is not allowed'] });
 
     });
 
-    it("passes for rules with empty data but allowed by skipEmpty", function(done) {
+  });
 
-      co(function*() {
-        this.validator.rule('phone', {
-          'phone': {
-            message: 'please enter a phone',
-            skipEmpty: true
-          }
-        });
+  describe(".isSync()", function() {
 
-        expect(yield this.validator.validates({ phone: null })).toBe(true);
-        expect(this.validator.errors()).toEqual({});
+    it("checks values synchronously", function() {
 
-        expect(yield this.validator.validates({ phone: '' })).toBe(true);
-        expect(this.validator.errors()).toEqual({});
+      var validator = new Validator();
+      validator.set('zeroToNine', /^[0-9]$/);
 
-        expect(yield this.validator.validates({ phone: '0' })).toBe(false);
-        expect(yield this.validator.validates({ phone: 0 })).toBe(false);
-        done();
-      }.bind(this));
+      expect(validator.isSync('zeroToNine', '5')).toBe(true);
+      expect(validator.isSync('not:zeroToNine', '5')).toBe(false);
+      expect(validator.isSync('oneOf', '5', { rules: ['zeroToNine', 'integer'] })).toBe(false);
 
     });
 
-    it("passes if valid", function(done) {
-
-      co(function*() {
-        this.validator.rule('title', 'not:empty');
-        expect(yield this.validator.validates({ title: 'new title' })).toBe(true);
+  });
 
-        expect(this.validator.errors()).toEqual({});
-        done();
-      }.bind(this));
+  describe(".compile()", function() {
 
+    beforeEach(function() {
+      this.validator = new Validator({ errorMode: 'object' });
+      this.validator.rule('title', 'not:empty|lengthBetween:3,20');
+      this.validator.rule('emails.*', { email: { required: false } });
+      this.validator.rule('status', { inList: { list: ['draft', 'published'], on: 'update' } });
+      this.validator.rule('contact', { anyOf: { rules: ['email', 'phone'], required: false } });
     });
 
-    it("checks rules which fit the event", function(done) {
+    it("returns a validation function giving the same results as `validate()`", function(done) {
 
       co(function*() {
-        this.validator.rule('title', {
-          'not:empty': {
-            message: 'please enter a ${field}',
-            on: 'create'
-          }
-        });
+        var validate = this.validator.compile();
+        var data = { title: 'hi', emails: ['willy@boy.com', 'willy'], status: 'unknown', contact: 'willy' };
 
-        expect(yield this.validator.validates({ title: '' }, { events: 'create' })).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['please enter a title'] });
+        expect(yield validate(data)).toEqual(yield this.validator.validate(data));
+        expect(validate.sync(data)).toEqual(this.validator.validateSync(data));
+        expect(Object.keys(validate.sync(data).errors)).toEqual(['title', 'emails.1', 'status', 'contact']);
         done();
       }.bind(this));
 
     });
 
-    it("ignores rules which doesn't fit the event", function(done) {
+    it("captures the validation options", function(done) {
 
       co(function*() {
-        this.validator.rule('title', {
-          'not:empty': {
-            message: 'please enter a ${field}',
-            on: 'create'
-          }
-        });
+        var validate = this.validator.compile({ events: 'update', abortEarly: true });
+        var result = yield validate({ title: 'new title', status: 'unknown', contact: 'willy' });
 
-        expect(yield this.validator.validates({ title: '' }, { events: 'update' })).toBe(true);
-        expect(this.validator.errors()).toEqual({});
+        expect(result.valid).toBe(false);
+        expect(Object.keys(result.errors)).toEqual(['status']);
         done();
       }.bind(this));
 
     });
 
-    it("validates arrays of things", function(done) {
+    it("captures the rules at compile time", function() {
 
-      co(function*() {
-        this.validator.rule('emails.*', 'email');
+      var validate = this.validator.compile();
+      this.validator.rule('body', 'not:empty');
 
-        expect(yield this.validator.validates({ emails: ['willy@boy.com', 'johnny@boy.com'] })).toBe(true);
-        expect(this.validator.errors()).toEqual({});
-        done();
-      }.bind(this));
+      expect(validate.sync({ title: 'new title', status: 'draft' }).valid).toBe(true);
+      expect(this.validator.validateSync({ title: 'new title', status: 'draft' }).valid).toBe(false);
 
     });
 
-    it("provides errors reporting for arrays of things", function(done) {
+    it("compiles nested and recursive validators", function() {
 
-      co(function*() {
-        this.validator.rule('emails.*', 'email');
+      var node = new Validator();
+      node.rule('name', 'not:empty');
+      node.rule('children.*', { schema: { validator: node, required: false } });
 
-        expect(yield this.validator.validates({ emails: ['invalid', 'johnny@boy.com'] })).toBe(false);
-        expect(this.validator.errors()).toEqual({ 'emails.0': ['is not a valid email address'] });
+      var validate = node.compile();
+      var result = validate.sync({ name: 'root', children: [{ name: 'a', children: [{ name: '' }] }] });
 
-        expect(yield this.validator.validates({ emails: ['willy@boy.com', 'invalid'] })).toBe(false);
-        expect(this.validator.errors()).toEqual({ 'emails.1': ['is not a valid email address'] });
-        done();
-      }.bind(this));
+      expect(result.errors).toEqual({ 'children.0.children.0.name': ['must not be a empty'] });
 
     });
 
-    it("validates nested structure", function(done) {
+  });
 
-      co(function*() {
-        this.validator.rule('people.*.email', 'email');
+  describe(".normalize()", function() {
 
-        expect(yield this.validator.validates({
-          people: [
-            { email: 'willy@boy.com' },
-            { email: 'johnny@boy.com' }
-          ]
-        })).toBe(true);
+    it("normalizes rules definitions", function() {
 
-        expect(this.validator.errors()).toEqual({});
-        done();
-      }.bind(this));
+      expect(Validator.normalize('email')).toEqual({ email: {} });
+      expect(Validator.normalize(['not:empty', { lengthMin: { length: 3 }, email: 'invalid email' }])).toEqual({
+        'not:empty': {},
+        lengthMin: { length: 3 },
+        email: { message: 'invalid email' }
+      });
 
     });
 
-    it("provides errors reporting for nested structure", function(done) {
+  });
 
-      co(function*() {
-        this.validator.rule('people.*.email', 'email');
+  describe(".use()", function() {
 
-        expect(yield this.validator.validates({
-          people: [
-            { email: 'invalid' },
-            { email: 'johnny@boy.com' }
-          ]
-        })).toBe(false);
+    it("registers plugins for the validator only", function(done) {
 
-        expect(this.validator.errors()).toEqual({ 'people.0.email': ['is not a valid email address'] });
+      co(function*() {
+        var validator = new Validator();
+        expect(validator.use({
+          namespace: 'fr',
+          handlers: { siret: /^[0-9]{14}$/ },
+          messages: { siret: 'must be a valid SIRET number' }
+        })).toBe(validator);
 
-        expect(yield this.validator.validates({
-          people: [
-            { email: 'willy@boy.com' },
-            { email: 'invalid' }
-          ]
-        })).toBe(false);
+        validator.rule('siret', 'fr:siret');
+        expect(validator.checker().parent()).toBe(Checker.instance());
 
-        expect(this.validator.errors()).toEqual({ 'people.1.email': ['is not a valid email address'] });
+        expect(yield validator.validates({ siret: '73282932000074' })).toBe(true);
+        expect(yield validator.validates({ siret: '732829' })).toBe(false);
+        expect(validator.errors()).toEqual({ siret: ['must be a valid SIRET number'] });
+
+        expect(Checker.has('fr:siret')).toBe(false);
+        expect(new Validator().has('fr:siret')).toBe(false);
         done();
-      }.bind(this));
+      });
+
     });
 
-    it("allows null as a value", function(done) {
+  });
 
-      co(function*() {
-        this.validator.rule('title', { 'not:empty': 'please enter a title' });
+  describe(".implicit()", function() {
 
-        expect(yield this.validator.validates({ title: null })).toBe(false);
-        expect(this.validator.errors()).toEqual({ title: ['please enter a title'] });
+    it("delegates to the checker", function() {
 
-        done();
-      }.bind(this));
+      var validator = new Validator();
+      expect(validator.implicit('requiredWith')).toBe(true);
+      expect(validator.implicit('not:requiredWith')).toBe(true);
+      expect(validator.implicit('email')).toBe(false);
 
     });
 
@@ -479,13 +2268,13 @@ describe("Validator", function() {
         this.validator.rule('regex', 'regex');
         this.validator.rule('required', 'not:empty');
         this.validator.rule('time', 'time');
-        this.validator.rule('undefined', 'undefined');
-        this.validator.rule('url', 'url');
-
         this.validator.set('undefined', function() {
           return false;
         });
 
+        this.validator.rule('undefined', 'undefined');
+        this.validator.rule('url', 'url');
+
         expect(yield this.validator.validates({
           accepted: '',
           alphaNumeric: '',
@@ -600,6 +2389,105 @@ describe("Validator", function() {
 
   });
 
+  describe(".when()", function() {
+
+    it("evaluates functions", function() {
+
+      var options = { field: 'name' };
+      var condition = function(data, opts) {
+        expect(opts).toBe(options);
+        return data.enabled;
+      };
+      expect(Validator.when(condition, { enabled: true }, options)).toBe(true);
+      expect(Validator.when(condition, { enabled: 0 }, options)).toBe(false);
+
+    });
+
+    it("evaluates `is` conditions", function() {
+
+      expect(Validator.when({ field: 'type', is: 'business' }, { type: 'business' })).toBe(true);
+      expect(Validator.when({ field: 'type', is: 'business' }, { type: 'personal' })).toBe(false);
+      expect(Validator.when({ field: 'type', is: 'business' }, {})).toBe(false);
+
+    });
+
+    it("evaluates `in` conditions", function() {
+
+      expect(Validator.when({ field: 'country', in: ['FR', 'DE'] }, { country: 'FR' })).toBe(true);
+      expect(Validator.when({ field: 'country', in: ['FR', 'DE'] }, { country: 'US' })).toBe(false);
+
+    });
+
+    it("evaluates `not` conditions", function() {
+
+      expect(Validator.when({ field: 'country', not: 'US' }, { country: 'FR' })).toBe(true);
+      expect(Validator.when({ field: 'country', not: 'US' }, { country: 'US' })).toBe(false);
+      expect(Validator.when({ field: 'country', not: ['US', 'CA'] }, { country: 'CA' })).toBe(false);
+
+    });
+
+    it("evaluates conditions on dotted paths", function() {
+
+      expect(Validator.when({ field: 'address.country', is: 'FR' }, { address: { country: 'FR' } })).toBe(true);
+      expect(Validator.when({ field: 'address.country', is: 'FR' }, { address: null })).toBe(false);
+
+    });
+
+    it("evaluates arrays of conditions", function() {
+
+      var conditions = [
+        { field: 'type', is: 'business' },
+        { field: 'country', in: ['FR', 'DE'] }
+      ];
+      expect(Validator.when(conditions, { type: 'business', country: 'FR' })).toBe(true);
+      expect(Validator.when(conditions, { type: 'business', country: 'US' })).toBe(false);
+
+    });
+
+  });
+
+  describe(".unknowns()", function() {
+
+    it("returns the paths of undeclared values", function() {
+
+      var data = {
+        title: 'new title',
+        isAdmin: true,
+        address: { city: 'Paris', zip: '75000' },
+        meta: { anything: 'goes' },
+        people: [{ email: 'willy@boy.com', role: 'admin' }, { email: 'johnny@boy.com' }]
+      };
+
+      var fields = ['title', 'address.city', 'meta', 'people.*.email'];
+      expect(Validator.unknowns(data, fields)).toEqual(['isAdmin', 'address.zip', 'people.0.role']);
+
+    });
+
+    it("walks only plain objects and arrays", function() {
+
+      var data = { created: new Date(), tags: 'a' };
+
+      expect(Validator.unknowns(data, ['created.year', 'tags.*'])).toEqual([]);
+
+    });
+
+  });
+
+  describe(".missing()", function() {
+
+    it("returns the paths of the missing values of `*` paths", function() {
+
+      var data = { items: [{ sku: 'A1' }, { qty: 1 }, null] };
+
+      expect(Validator.missing(data, ['items', '*', 'sku'])).toEqual(['items.1.sku']);
+      expect(Validator.missing(data, ['items', '*'])).toEqual([]);
+      expect(Validator.missing(data, ['title'])).toEqual([]);
+      expect(Validator.missing({}, ['items', '*', 'sku'])).toEqual([]);
+
+    });
+
+  });
+
   describe(".values()", function() {
 
     it("returns the extracted data when no path is defined", function() {
@@ -0,0 +1,43 @@
+/**
+ * A minimal `AbortSignal` for the environments which don't provide one (e.g. Node < 15).
+ */
+class AbortSignal {
+
+  constructor() {
+    this.aborted = false;
+    this._listeners = [];
+  }
+
+  addEventListener(type, listener) {
+    this._listeners.push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    var index = this._listeners.indexOf(listener);
+    if (index !== -1) {
+      this._listeners.splice(index, 1);
+    }
+  }
+}
+
+/**
+ * A minimal `AbortController` for the environments which don't provide one (e.g. Node < 15).
+ */
+class AbortController {
+
+  constructor() {
+    this.signal = new AbortSignal();
+  }
+
+  abort() {
+    if (this.signal.aborted) {
+      return;
+    }
+    this.signal.aborted = true;
+    for (var listener of this.signal._listeners.slice()) {
+      listener({ type: 'abort' });
+    }
+  }
+}
+
+module.exports = AbortController;
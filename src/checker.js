@@ -1,7 +1,71 @@
-var co = require('co');
 var extend = require('extend-merge').extend;
 var merge = require('extend-merge').merge;
 var dateFormat = require('dateformat');
+var Path = require('./path');
+var Sanitizer = require('./sanitizer');
+var Runner = require('./runner');
+
+/**
+ * Checks if a value is filled (i.e. neither `undefined`, `null`, a blank string nor an empty array).
+ *
+ * @param  mixed   value The value to check.
+ * @return Boolean
+ */
+function filled(value) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (typeof value === 'string') {
+    return value.trim() !== '';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return true;
+}
+
+/**
+ * Compares a value to a referenced field (see `Path.resolve()`) of the validated data.
+ *
+ * The resolved path of the field is set as `key` in `params` for error messages.
+ *
+ * @param  Object   options  The rule options (i.e. `key`, `skipNullKey`, `skipEmptyKey`, `data` and
+ *                           `path`).
+ * @param  Object   params   The error message parameters.
+ * @param  Function callback The comparison function taking the value of the referenced field.
+ * @return Boolean
+ */
+function compare(options, params, callback) {
+  options = options || {};
+  if (options.key === undefined) {
+    return false;
+  }
+  var key = Path.resolve(options.key, options.path);
+  var target = Path.get(options.data, key);
+  target = target === undefined ? null : target;
+  params.key = key;
+  if (target === null && (options.skipNullKey || options.skipEmptyKey)) {
+    return true;
+  }
+  if (target === '' && options.skipEmptyKey) {
+    return true;
+  }
+  return callback(target);
+}
+
+/**
+ * Normalizes a value for ordering comparisons (i.e. numeric strings are casted to numbers, dates to
+ * timestamps).
+ *
+ * @param  mixed value The value to normalize.
+ * @return mixed
+ */
+function comparable(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    return Number(value);
+  }
+  return value instanceof Date ? value.getTime() : value;
+}
 
 /**
  * The `Checker` class provides static access to commonly used data validation logic.
@@ -19,6 +83,21 @@ var dateFormat = require('dateformat');
  * Checker.is('email', 'foo@example.com'); // Promise
  * }}}
  *
+ * ## Registries
+ *
+ * The static methods work on a default registry shared by the whole process (see
+ * `Checker.instance()`). Isolated registries can be created by instantiating `Checker`, a registry
+ * inherits the handlers, messages and implicit flags of its parent (the default registry unless
+ * specified) while its own definitions remain local:
+ * {{{
+ * var checker = new Checker();
+ * checker.set('zeroToNine', /^[0-9]$/);
+ * checker.has('zeroToNine'); // true
+ * Checker.has('zeroToNine'); // false
+ *
+ * var validator = new Validator({ checker: checker });
+ * }}}
+ *
  * The following is the list of the built-in rules, but keep in mind that any rule may be
  * overridden by adding a new rule of the same name using the `.set()` method.
  *
@@ -67,9 +146,20 @@ var dateFormat = require('dateformat');
  * - `empty`: Checks that a field is left blank **OR** only whitespace characters are present in its
  *   value. Whitespace characters include spaces, tabs, carriage returns and newlines.
  *
+ * - `different`: Checks that a value is different from another field (objects and arrays are
+ *   compared deeply). The available options are the same as `equalTo`.
+ *
  * - `equalTo`: This rule will ensure that the value is equal to another field. The available
  *   options are `'key'`, `'skipEmptyKey'`, `'skipNullKey'`, `'key'` and `'data'`, which designate
- *   the matching key and the data array the value must match on.
+ *   the matching key and the data array the value must match on. The `'key'` can be a dotted path
+ *   or a relative reference resolved against the path of the value (see `Path.resolve()`), e.g.
+ *   `'items.*.start'`, `'$sibling.start'` or `'$parent.start'`.
+ *
+ * - `gt`: Checks that a value is greater than another field (numeric strings are compared as
+ *   numbers). The available options are the same as `equalTo`.
+ *
+ * - `gte`: Checks that a value is greater than or equal to another field. The available options
+ *   are the same as `equalTo`.
  *
  * - `inList`: Checks that a value is in a pre-defined list of values. This validator accepts one
  *   option, `'list'`, which is an array containing acceptable values.
@@ -94,6 +184,12 @@ var dateFormat = require('dateformat');
  * - `lengthMin`: Checks that a string length is greater than given length. The available option is `'length'`,
  *   which designate the minimum required length of the string.
  *
+ * - `lt`: Checks that a value is less than another field. The available options are the same as
+ *   `equalTo`.
+ *
+ * - `lte`: Checks that a value is less than or equal to another field. The available options are
+ *   the same as `equalTo`.
+ *
  * - `luhn`: Checks that a value is a valid credit card number according to the
  *   [Luhn algorithm](http://en.wikipedia.org/wiki/Luhn_algorithm). (See also: the `creditCard`
  *   validator).
@@ -111,21 +207,122 @@ var dateFormat = require('dateformat');
  *
  * - `phone`: Check that a value is a valid phone number, non-locale-specific phone number.
  *
+ * - `pattern`: Checks that a string matches a regular expression. The available option is
+ *   `'pattern'`, which designates the regular expression (a `RegExp` or a string).
+ *
+ * - `presentWith`: Checks that a value is defined (possibly blank) when any of the other fields is
+ *   filled. The available option is `'fields'`, a dotted path or a list of them.
+ *
  * - `regex`: Checks that a value appears to be a valid regular expression, possibly
  *   containing PCRE-compatible options flags.
  *
+ * - `required`: Checks that a value is defined. Since missing values are already rejected by
+ *   `Validator` for required rules, this rule can be used to only require a value to be present.
+ *
+ * - `requiredIf`: Checks that a value is filled (i.e. neither missing, `null`, blank nor an empty
+ *   array) when another field is equal to a value. The available options are `'key'` (a dotted path)
+ *   and `'value'` (a value or a list of values).
+ *
+ * - `requiredUnless`: Checks that a value is filled unless another field is equal to a value. The
+ *   available options are `'key'` (a dotted path) and `'value'` (a value or a list of values).
+ *
+ * - `requiredWith`: Checks that a value is filled when any of the other fields is filled. The
+ *   available option is `'fields'`, a dotted path or a list of them.
+ *
+ * - `requiredWithAll`: Checks that a value is filled when all the other fields are filled. The
+ *   available option is `'fields'`, a dotted path or a list of them.
+ *
+ * - `requiredWithout`: Checks that a value is filled when any of the other fields is not filled.
+ *   The available option is `'fields'`, a dotted path or a list of them.
+ *
+ * - `sameAs`: Checks that a value is the same as another field (objects and arrays are compared
+ *   deeply). The available options are the same as `equalTo`.
+ *
  * - `time`: Checks that a value is a valid time. Validates time as 24hr (HH:MM) or am/pm
  *   ([ H]H:MM[a|p]m). Does not allow / validate seconds.
  *
+ * - `type`: Checks that a value is of a JSON type. The available option is `'type'`, which
+ *   designates the required type or a list of allowed types among `'string'`, `'number'`,
+ *   `'integer'`, `'boolean'`, `'object'`, `'array'` and `'null'`.
+ *
  * - `url`: Checks that a value is a valid URL according to
  *   [RFC 2395](http://www.faqs.org/rfcs/rfc2396.html). Uses PHP's filter API, and accepts any
  *   options accepted for
  *   [the validation URL filter](http://www.php.net/manual/en/filter.filters.validate.php).
  *
  * - `uuid`: Checks that a value is a valid UUID.
+ *
+ * Note: the `required*` and `presentWith` rules are implicit rules (see `Checker.implicit()`), so they are also
+ * checked by `Validator` when the value is missing. Their `'key'` and `'fields'` options accept
+ * the same references as `equalTo` (e.g. `'items.*.qty'` or `'$sibling.qty'`).
  */
 class Checker {
 
+  /**
+   * Constructor
+   *
+   * @param Object config The config array. Possible values are:
+   *                      - `'parent'` _Checker_: The registry to inherit from (defaults to the
+   *                                              default registry, `null` to create a root registry
+   *                                              with the built-in handlers and messages).
+   */
+  constructor(config) {
+    config = config || {};
+
+    /**
+     * The parent registry.
+     *
+     * @var Checker
+     */
+    this._parent = config.parent !== undefined ? config.parent : this.constructor._instance;
+
+    /**
+     * The validation handlers.
+     *
+     * @var Object
+     */
+    this._handlers = {};
+
+    /**
+     * The error messages.
+     *
+     * @var Object
+     */
+    this._messages = {};
+
+    /**
+     * The implicit flags indexed by validation handler names.
+     *
+     * @var Object
+     */
+    this._implicits = {};
+
+    /**
+     * The positional option names indexed by validation handler names.
+     *
+     * @var Object
+     */
+    this._signatures = {};
+
+    /**
+     * The declared options indexed by validation handler names.
+     *
+     * @var Object
+     */
+    this._options = {};
+
+    this.reset();
+  }
+
+  /**
+   * Returns the parent registry.
+   *
+   * @return Checker The parent registry or `null` for a root registry.
+   */
+  parent() {
+    return this._parent;
+  }
+
   /**
    * Sets or replaces one or several built-in validation rules.
    *
@@ -176,10 +373,14 @@ class Checker {
    * These functions can take up to 3 parameters:
    *  - `value`   _mixed_ : This is the actual value to be validated (as in the above example).
    *  - `options` _Object_: This parameter allows a validation rule to implement custom options.
-   *                        - `'check'` _string_: Often, validation rules come in multiple "formats", for example:
+   *                        - `'format'` _string_: Often, validation rules come in multiple "formats", for example:
    *                           credit cards, which vary by type of card. Defining multiple formats allows you to
-   *                           retain flexibility in how you validate data. The value of `'check'` can be a specific
-   *                           validation handler name or `'any'` which should pass if any validation handler matches.
+   *                           retain flexibility in how you validate data. The value of `'format'` can be a specific
+   *                           format name, a list of them, `'any'` which should pass if any format matches or
+   *                           `'all'` which requires all formats to match (see `check()`).
+   *
+   * Note: the signature and the declared options of a replaced handler are removed (see
+   * `signature()` and `options()`).
    *
    * @param mixed name The name of the validation rule (string), or an array of key/value pairs
    *                   of names and rules.
@@ -187,7 +388,7 @@ class Checker {
    *                   closure that returns a boolean indicating success. Should be left blank if
    *                   `name` is an Object.
    */
-  static set(name, rule) {
+  set(name, rule) {
     var handler;
     if (typeof name === 'string') {
       handler = {};
@@ -195,6 +396,12 @@ class Checker {
     } else {
       handler = extend({}, name);
     }
+    for (var key in handler) {
+      if (this._handlers[key] !== undefined) {
+        delete this._signatures[key];
+        delete this._options[key];
+      }
+    }
     this._handlers = extend({}, this._handlers, handler);
   }
 
@@ -203,8 +410,8 @@ class Checker {
    *
    * @param string name A validation handler name.
    */
-  static has(name) {
-    return this._handlers[name] !== undefined;
+  has(name) {
+    return this._handlers[name] !== undefined || (!!this._parent && this._parent.has(name));
   }
 
   /**
@@ -212,10 +419,13 @@ class Checker {
    *
    * @param string name A validation handler name.
    */
-  static get(name) {
+  get(name) {
     if (this._handlers[name] !== undefined) {
        return this._handlers[name];
     }
+    if (this._parent && this._parent.has(name)) {
+      return this._parent.get(name);
+    }
     throw new Error("Unexisting `" + name + "` as validation handler.");
   }
 
@@ -226,9 +436,9 @@ class Checker {
    * @param  Boolean append   Indicating if the handlers need to be appended or replaced.
    * @return Object           The list of available validation handlers
    */
-  static handlers(handlers, append) {
+  handlers(handlers, append) {
     if (!arguments.length) {
-      return extend({}, this._handlers);
+      return extend({}, this._parent ? this._parent.handlers() : {}, this._handlers);
     }
     append = append === undefined ? true : append;
     if (append) {
@@ -248,18 +458,40 @@ class Checker {
    * @param  Object  params  The options object.
    * @return Promise         Returns a promise.
    */
-  static is(name, value, options, params) {
-    return co(function* () {
-      var not = false;
-      if (name.substring(0, 4) === 'not:') {
-        name = name.substring(4);
-        not = true;
-      }
-      var handlers = this.get(name);
-      var result = yield this.check(value, handlers, options, params)
+  is(name, value, options, params) {
+    return Runner.async(this._is(name, value, options, params));
+  }
 
-      return result !== not;
-    }.bind(this));
+  /**
+   * Checks synchronously a single value against a validation handler.
+   *
+   * @see    Checker#is()
+   * @param  String  rule    The validation handler name.
+   * @param  mixed   value   The value to check.
+   * @param  Object  options The options object.
+   * @param  Object  params  The options object.
+   * @return Boolean         Returns `true` if the value is valid, `false` otherwise.
+   * @throws Error           If an asynchronous handler is met.
+   */
+  isSync(name, value, options, params) {
+    return Runner.sync(this._is(name, value, options, params));
+  }
+
+  /**
+   * The `is()` generator.
+   *
+   * @see Checker#is()
+   */
+  *_is(name, value, options, params) {
+    var not = false;
+    if (name.substring(0, 4) === 'not:') {
+      name = name.substring(4);
+      not = true;
+    }
+    var handlers = this.get(name);
+    var result = yield* this._check(value, handlers, options, params);
+
+    return result !== not;
   }
 
   /**
@@ -268,52 +500,164 @@ class Checker {
    *
    * Checks a single value against a validation handler.
    *
+   * The formats to check are selected by the `'format'` option (`'check'` is supported as an alias):
+   *  - `'any'` (the default): passes if any format passes.
+   *  - `'all'`: passes if all formats pass.
+   *  - a format name or a list of format names: passes if any of the named formats passes.
+   *
+   * The check fails if no format has been evaluated. The matching format name (or the list of
+   * format names for `'all'`) is reported in `params.format`.
+   *
    * @param  mixed   value    The value to check.
    * @param  mixed   handlers The handler function or an object of handlers.
    * @param  Object  options  The options object.
    * @param  Object  params   A result object with parameters ready to be displayed.
    * @return Promise          Returns a promise.
    */
-  static check(value, handlers, options, params) {
-    return co(function* () {
-      options = options || {};
-      params = params || {};
+  check(value, handlers, options, params) {
+    return Runner.async(this._check(value, handlers, options, params));
+  }
 
-      var defaults = { check: 'any' };
-      options = extend({}, defaults, options);
+  /**
+   * Perform synchronously validation checks against a value.
+   *
+   * @see    Checker#check()
+   * @param  mixed   value    The value to check.
+   * @param  mixed   handlers The handler function or an object of handlers.
+   * @param  Object  options  The options object.
+   * @param  Object  params   A result object with parameters ready to be displayed.
+   * @return Boolean          Returns `true` if the value is valid, `false` otherwise.
+   * @throws Error            If an asynchronous handler is met.
+   */
+  checkSync(value, handlers, options, params) {
+    return Runner.sync(this._check(value, handlers, options, params));
+  }
 
-      if (typeof handlers === 'function') {
-        return handlers.apply(handlers, [value, options, params]);
+  /**
+   * The `check()` generator.
+   *
+   * @see Checker#check()
+   */
+  *_check(value, handlers, options, params) {
+    options = options || {};
+    params = params || {};
+
+    if (typeof handlers === 'function') {
+      return yield handlers.apply(handlers, [value, options, params]);
+    }
+
+    if (handlers instanceof RegExp) {
+      if (typeof value !== 'object') {
+        return handlers.test(String(value));
       }
+      if (handlers === this.get('empty')) {
+        return !value;
+      }
+      throw new Error("Regex validation rules can't be applied on objects.");
+    }
 
-      if (handlers instanceof RegExp) {
-        if (typeof value !== 'object') {
-          return handlers.test(String(value));
-        }
-        if (handlers === this.get('empty')) {
-          return !value;
+    var format = options.format !== undefined && options.format !== 'any' ? options.format : options.check;
+    format = format !== undefined ? format : 'any';
+    var all = format === 'all';
+    var formats = Array.isArray(format) ? format : [format];
+    var matched = [];
+
+    for (var key in handlers) {
+      if (!all && format !== 'any' && formats.indexOf(key) === -1) {
+        continue;
+      }
+      if (yield* this._check(value, handlers[key], options, params)) {
+        matched.push(key);
+        if (!all) {
+          break;
         }
-        throw new Error("Regex validation rules can't be applied on objects.");
+      } else if (all) {
+        return false;
       }
+    }
+    if (!matched.length) {
+      return false;
+    }
+    params.format = all ? matched : matched[0];
+    return true;
+  }
 
-      var success = true;
-      var any = options.check === 'any';
-      var formats = Array.isArray(options.check) ? options.check : [options.check];
+  /**
+   * Gets/sets whether a validation handler is implicit or not.
+   *
+   * Unlike regular handlers which are only checked against existing values, implicit handlers are
+   * also checked against missing values (i.e. with `undefined` as value) so they can decide by
+   * themselves if a value is required (e.g. `requiredWith`).
+   *
+   * @param  String  name     A validation handler name.
+   * @param  Boolean implicit The implicit flag to set or none to get it.
+   * @return Boolean          Returns `true` if the validation handler is implicit, `false` otherwise.
+   */
+  implicit(name, implicit) {
+    if (arguments.length === 2) {
+      this._implicits[name] = !!implicit;
+      return implicit;
+    }
+    if (this._implicits[name] !== undefined) {
+      return this._implicits[name];
+    }
+    return this._parent ? this._parent.implicit(name) : false;
+  }
 
-      for (var key in handlers) {
-        var handler = handlers[key];
+  /**
+   * Gets/sets the positional option names of a validation handler.
+   *
+   * Signatures are used to map positional arguments onto options (e.g. with the pipe-string
+   * syntax `'lengthBetween:3,20'`). A name prefixed by `...` collects all the remaining arguments
+   * as an array:
+   * {{{
+   * checker.signature('lengthBetween', ['min', 'max']);
+   * checker.signature('inList', ['...list']);
+   * }}}
+   *
+   * @param  String name  A validation handler name.
+   * @param  Array  names The option names to set or none to get them.
+   * @return Array        The option names or `undefined` if the handler has no signature.
+   */
+  signature(name, names) {
+    if (arguments.length === 2) {
+      return this._signatures[name] = names;
+    }
+    if (this._signatures[name] !== undefined) {
+      return this._signatures[name];
+    }
+    return this._parent && this._handlers[name] === undefined ? this._parent.signature(name) : undefined;
+  }
 
-        if (!any && formats.indexOf(key) === -1) {
-          continue;
-        }
-        if (yield this.check(value, handlers[key], options, params)) {
-          return true;
-        } else {
-          success = false;
-        }
-      }
-      return success;
-    }.bind(this));
+  /**
+   * Gets/sets the declared options of a validation handler.
+   *
+   * A declaration maps option names to their expected types among `'any'`, `'array'`, `'boolean'`,
+   * `'date'`, `'function'`, `'number'`, `'object'`, `'regexp'` and `'string'`. Alternatives are
+   * separated by `|` and optional options are suffixed by `?`:
+   * {{{
+   * checker.options('lengthBetween', { min: 'number', max: 'number' });
+   * checker.options('pattern', { pattern: 'string|regexp' });
+   * checker.options('decimal', { precision: 'number?' });
+   * }}}
+   *
+   * Declarations are used by `Validator#rule()` to reject misconfigured rules, handlers without
+   * declaration accept any options. A declaration only applies to the handler it has been set for,
+   * so it's removed when the handler is replaced and handlers redefined by a child registry (or by a
+   * validator) don't inherit it.
+   *
+   * @param  String name        A validation handler name.
+   * @param  Object declaration The declaration to set or none to get it.
+   * @return Object             The declaration or `undefined` if the handler has no declaration.
+   */
+  options(name, declaration) {
+    if (arguments.length === 2) {
+      return this._options[name] = declaration;
+    }
+    if (this._options[name] !== undefined) {
+      return this._options[name];
+    }
+    return this._parent && this._handlers[name] === undefined ? this._parent.options(name) : undefined;
   }
 
   /**
@@ -323,11 +667,12 @@ class Checker {
    * @param  String message The error message to set or none to get it.
    * @return String         The error message.
    */
-  static message(name, message) {
+  message(name, message) {
     if (arguments.length === 2) {
       return this._messages[name] = message;
     }
-    return this._messages[name] !== undefined ? this._messages[name] : this._messages['_default_'];
+    var messages = this.messages();
+    return messages[name] !== undefined ? messages[name] : messages['_default_'];
   }
 
   /**
@@ -336,7 +681,7 @@ class Checker {
    * @param  Object messages The error message array to set or none to get the setted ones.
    * @return Object          The error messages.
    */
-  static messages(messages, append) {
+  messages(messages, append) {
     if (append === undefined) {
       append = true;
     }
@@ -347,35 +692,253 @@ class Checker {
         this._messages = messages;
       }
     }
-    return extend({}, { _default_: 'is invalid' }, this._messages);
+    return extend({}, this._parent ? this._parent.messages() : { _default_: 'is invalid' }, this._messages);
+  }
+
+  /**
+   * Registers a plugin, i.e. a package of validation handlers, error messages and formats.
+   *
+   * For example:
+   * {{{
+   * checker.use({
+   *   namespace: 'fr',
+   *   handlers: {
+   *     siret: /^[0-9]{14}$/
+   *   },
+   *   messages: {
+   *     siret: 'must be a valid SIRET number'
+   *   },
+   *   formats: {
+   *     phone: { fr: /^0[1-9][0-9]{8}$/ }
+   *   }
+   * });
+   *
+   * checker.is('fr:siret', '73282932000074'); // Promise
+   * checker.is('phone', '0612345678', { check: 'fr' }); // Promise
+   * }}}
+   *
+   * A plugin can also be a function, in which case it's called with the registry and the options
+   * and its returned value (if any) is registered as a plugin.
+   *
+   * @param  mixed   plugin  The plugin object or function. Possible values are:
+   *                         - `'namespace'`  _String_: The namespace of the handlers (e.g. `'fr'`
+   *                                                    registers `siret` as `'fr:siret'`).
+   *                         - `'handlers'`   _Object_: The validation handlers.
+   *                         - `'messages'`   _Object_: The error messages of the handlers.
+   *                         - `'formats'`    _Object_: Some extra formats indexed by handler names
+   *                                                    (plugin handlers or existing ones).
+   *                         - `'implicit'`   _Array_ : The names of the implicit handlers.
+   *                         - `'signatures'` _Object_: The positional option names of the handlers
+   *                                                    (see `Checker#signature()`).
+   *                         - `'options'`    _Object_: The declared options of the handlers (see
+   *                                                    `Checker#options()`).
+   * @param  Object  options The options. Possible values are:
+   *                         - `'namespace'` _String_ : Overrides the plugin namespace.
+   *                         - `'override'`  _Boolean_: Allows to replace existing handlers and
+   *                                                    formats (defaults to `false`).
+   * @return Checker         Returns `this`.
+   */
+  use(plugin, options) {
+    options = options || {};
+    if (typeof plugin === 'function') {
+      plugin = plugin(this, options);
+      if (!plugin || typeof plugin !== 'object') {
+        return this;
+      }
+    }
+    var namespace = options.namespace !== undefined ? options.namespace : plugin.namespace;
+    if (namespace === 'not') {
+      throw new Error("Invalid `not` plugin namespace.");
+    }
+    var local = Object.keys(plugin.handlers || {});
+    var prefix = function(name) {
+      if (name.substring(0, 4) === 'not:') {
+        return 'not:' + prefix(name.substring(4));
+      }
+      return namespace && local.indexOf(name) !== -1 ? namespace + ':' + name : name;
+    };
+
+    var handlers = {};
+    for (var key of local) {
+      if (this.has(prefix(key)) && !options.override) {
+        throw new Error("Conflicting `" + prefix(key) + "` validation handler.");
+      }
+      handlers[prefix(key)] = plugin.handlers[key];
+    }
+
+    for (var key in plugin.formats) {
+      var name = prefix(key);
+      var handler = handlers[name] !== undefined ? handlers[name] : this.get(name);
+      if (typeof handler === 'function' || handler instanceof RegExp) {
+        var formats = {};
+        formats[name] = handler;
+        handler = formats;
+      }
+      for (var format in plugin.formats[key]) {
+        if (handler[format] !== undefined && !options.override) {
+          throw new Error("Conflicting `" + format + "` format for `" + name + "` validation handler.");
+        }
+      }
+      handlers[name] = extend({}, handler, plugin.formats[key]);
+    }
+
+    var messages = {};
+    for (var key in plugin.messages) {
+      messages[prefix(key)] = plugin.messages[key];
+    }
+
+    var declarations = {};
+    for (var name in handlers) {
+      if (local.map(prefix).indexOf(name) === -1) {
+        declarations[name] = { signature: this.signature(name), options: this.options(name) };
+      }
+    }
+
+    this.set(handlers);
+    for (var name in declarations) {
+      if (declarations[name].signature !== undefined) {
+        this.signature(name, declarations[name].signature);
+      }
+      if (declarations[name].options !== undefined) {
+        this.options(name, declarations[name].options);
+      }
+    }
+    this.messages(messages);
+    for (var key of plugin.implicit || []) {
+      this.implicit(prefix(key), true);
+    }
+    for (var key in plugin.signatures) {
+      this.signature(prefix(key), plugin.signatures[key]);
+    }
+    for (var key in plugin.options) {
+      this.options(prefix(key), plugin.options[key]);
+    }
+    return this;
   }
 
   /**
-   * Resets or removes all defined error messages.
+   * Resets or removes all defined validation handlers, error messages and implicit flags.
+   *
+   * Note: only the local definitions of a registry with a parent are removed, the inherited ones
+   * remain available.
    *
    * @param Boolean totaly If `true` error messages will be completly deleted and not reseted.
    */
-  static reset(totaly)
+  reset(totaly)
   {
     this._handlers = {};
-    this._messages = { _default_: 'is invalid' };
+    this._messages = this._parent ? {} : { _default_: 'is invalid' };
+    this._implicits = {};
+    this._signatures = {};
+    this._options = {};
 
-    if (totaly === true) {
+    if (totaly === true || this._parent) {
       return;
     }
 
+    for (var name of ['presentWith', 'requiredIf', 'requiredUnless', 'requiredWith', 'requiredWithAll', 'requiredWithout']) {
+      this.implicit(name, true);
+    }
+
+    var options = {
+      accepted: {},
+      alphaNumeric: {},
+      boolean: {},
+      creditCard: { deep: 'boolean?' },
+      date: {},
+      dateAfter: { date: 'string|number|date' },
+      dateBefore: { date: 'string|number|date' },
+      decimal: { precision: 'number?' },
+      different: { key: 'string', skipNullKey: 'boolean?', skipEmptyKey: 'boolean?' },
+      email: {},
+      empty: {},
+      equalTo: { key: 'string', skipNullKey: 'boolean?', skipEmptyKey: 'boolean?' },
+      gt: { key: 'string', skipNullKey: 'boolean?', skipEmptyKey: 'boolean?' },
+      gte: { key: 'string', skipNullKey: 'boolean?', skipEmptyKey: 'boolean?' },
+      inList: { list: 'array?' },
+      inRange: { lower: 'number?', upper: 'number?' },
+      integer: {},
+      ip: {},
+      length: { length: 'number' },
+      lengthBetween: { min: 'number', max: 'number' },
+      lengthMax: { length: 'number' },
+      lengthMin: { length: 'number' },
+      lt: { key: 'string', skipNullKey: 'boolean?', skipEmptyKey: 'boolean?' },
+      lte: { key: 'string', skipNullKey: 'boolean?', skipEmptyKey: 'boolean?' },
+      luhn: {},
+      max: { max: 'number|date' },
+      min: { min: 'number|date' },
+      money: {},
+      numeric: {},
+      pattern: { pattern: 'string|regexp' },
+      phone: {},
+      presentWith: { fields: 'string|array' },
+      regex: {},
+      required: {},
+      requiredIf: { key: 'string', value: 'any' },
+      requiredUnless: { key: 'string', value: 'any' },
+      requiredWith: { fields: 'string|array' },
+      requiredWithAll: { fields: 'string|array' },
+      requiredWithout: { fields: 'string|array' },
+      sameAs: { key: 'string', skipNullKey: 'boolean?', skipEmptyKey: 'boolean?' },
+      time: {},
+      type: { type: 'string|array' },
+      url: {},
+      uuid: {}
+    };
+    for (var name in options) {
+      this.options(name, options[name]);
+    }
+
+    var signatures = {
+      dateAfter: ['date'],
+      dateBefore: ['date'],
+      decimal: ['precision'],
+      different: ['key'],
+      equalTo: ['key'],
+      gt: ['key'],
+      gte: ['key'],
+      inList: ['...list'],
+      inRange: ['lower', 'upper'],
+      length: ['length'],
+      lengthBetween: ['min', 'max'],
+      lengthMax: ['length'],
+      lengthMin: ['length'],
+      lt: ['key'],
+      lte: ['key'],
+      max: ['max'],
+      min: ['min'],
+      pattern: ['pattern'],
+      presentWith: ['...fields'],
+      requiredIf: ['key', '...value'],
+      requiredUnless: ['key', '...value'],
+      requiredWith: ['...fields'],
+      requiredWithAll: ['...fields'],
+      requiredWithout: ['...fields'],
+      sameAs: ['key'],
+      type: ['...type']
+    };
+    for (var name in signatures) {
+      this.signature(name, signatures[name]);
+    }
+
     this.messages({
       accepted: 'must be accepted',
+      allOf: 'must satisfy all of `${rules}`',
       alphaNumeric: 'must contain only letters a-z and/or numbers 0-9',
+      anyOf: 'must satisfy at least one of `${rules}`',
       boolean: 'must be a boolean',
       creditCard: 'must be a valid credit card number',
       date: 'is not a valid date',
       dateAfter: 'must be date after ${date}',
       dateBefore: 'must be date before ${date}',
       decimal: 'must be decimal',
+      different: 'must be different from the field `${key}`',
       email: 'is not a valid email address',
       equalTo: 'must be the equal to the field `${key}`',
       empty: 'must be a empty',
+      gt: 'must be greater than the field `${key}`',
+      gte: 'must be greater than or equal to the field `${key}`',
       'not:empty': 'must not be a empty',
       inList: 'must contain a valid value',
       'not:inList': 'must contain a valid value',
@@ -387,62 +950,74 @@ class Checker {
       lengthBetween: 'must be between ${min} and ${max} characters',
       lengthMax: 'must contain less than ${length} characters',
       lengthMin: 'must contain greater than ${length} characters',
+      lt: 'must be less than the field `${key}`',
+      lte: 'must be less than or equal to the field `${key}`',
       luhn: 'must be a valid credit card number',
       max: 'must be no more than ${max}',
       min: 'must be at least ${min}',
       money: 'must be a valid monetary amount',
+      noneOf: 'must not satisfy any of `${rules}`',
       numeric: 'must be numeric',
+      oneOf: 'must satisfy exactly one of `${rules}`',
+      pattern: 'must match the pattern ${pattern}',
       phone: 'must be a phone number',
+      presentWith: 'must be present when `${fields}` is present',
       regex: 'contains invalid characters',
       required: 'is required',
+      requiredIf: 'is required when `${key}` is `${value}`',
+      requiredUnless: 'is required unless `${key}` is `${value}`',
+      requiredWith: 'is required when `${fields}` is present',
+      requiredWithAll: 'is required when `${fields}` are present',
+      requiredWithout: 'is required when `${fields}` is not present',
+      sameAs: 'must be the same as the field `${key}`',
+      schema: 'must be an object',
       time: 'must be a valid time',
+      timeout: 'could not be validated within ${timeout}ms',
+      type: 'must be of type ${type}',
+      unknown: 'is not allowed',
       url: 'not a URL'
     });
 
     this.set({
       accepted: function(value, options, params) {
-        var bool = typeof value === 'boolean';
-        var v = typeof v === 'string' ? value.toLowerCase() : value;
-        return (bool || v === 0 || v === 1 || v === '0' || v === '1' || v === '' || v === 'true' || v === 'false' || v === 'yes' || v === 'no' || v === 'on' || v === 'off') && v != null;
+        var v = typeof value === 'string' ? value.toLowerCase() : value;
+        return Sanitizer._booleans.true.indexOf(v) !== -1 || Sanitizer._booleans.false.indexOf(v) !== -1;
       },
       alphaNumeric: function(value, options, params) {
-        var rules = { 'alphaNumeric': /^[\u0041-\u005A\u0061-\u007A\u00AA\u00B5\u00BA\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u0527\u0531-\u0556\u0559\u0561-\u0587\u05D0-\u05EA\u05F0-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u08A0\u08A2-\u08AC\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0977\u0979-\u097F\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C33\u0C35-\u0C39\u0C3D\u0C58\u0C59\u0C60\u0C61\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D05-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D60\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E87\u0E88\u0E8A\u0E8D\u0E94-\u0E97\u0E99-\u0E9F\u0EA1-\u0EA3\u0EA5\u0EA7\u0EAA\u0EAB\u0EAD-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F4\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u1700-\u170C\u170E-\u1711\u1720-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1877\u1880-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191C\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19C1-\u19C7\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4B\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1CE9-\u1CEC\u1CEE-\u1CF1\u1CF5\u1CF6\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2119-\u211D\u2124\u2126\u2128\u212A-\u212D\u212F-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2183\u2184\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u2E2F\u3005\u3006\u3031-\u3035\u303B\u303C\u3041-\u3096\u309D-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312D\u3131-\u318E\u31A0-\u31BA\u31F0-\u31FF\u3400-\u4DB5\u4E00-\u9FCC\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA697\uA6A0-\uA6E5\uA717-\uA71F\uA722-\uA788\uA78B-\uA78E\uA790-\uA793\uA7A0-\uA7AA\uA7F8-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA80-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uABC0-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC-0-9\u0660-\u0669\u06F0-\u06F9\u07C0-\u07C9\u0966-\u096F\u09E6-\u09EF\u0A66-\u0A6F\u0AE6-\u0AEF\u0B66-\u0B6F\u0BE6-\u0BEF\u0C66-\u0C6F\u0CE6-\u0CEF\u0D66-\u0D6F\u0DE6-\u0DEF\u0E50-\u0E59\u0ED0-\u0ED9\u0F20-\u0F29\u1040-\u1049\u1090-\u1099\u17E0-\u17E9\u1810-\u1819\u1946-\u194F\u19D0-\u19D9\u1A80-\u1A89\u1A90-\u1A99\u1B50-\u1B59\u1BB0-\u1BB9\u1C40-\u1C49\u1C50-\u1C59\uA620-\uA629\uA8D0-\uA8D9\uA900-\uA909\uA9D0-\uA9D9\uA9F0-\uA9F9\uAA50-\uAA59\uABF0-\uABF9\uFF10-\uFF19]+$/ };
-        return (!value && value !== '0') ? false : this.check(value, rules, options, params);
+        var rule = /^[\u0041-\u005A\u0061-\u007A\u00AA\u00B5\u00BA\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u0527\u0531-\u0556\u0559\u0561-\u0587\u05D0-\u05EA\u05F0-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u08A0\u08A2-\u08AC\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0977\u0979-\u097F\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C33\u0C35-\u0C39\u0C3D\u0C58\u0C59\u0C60\u0C61\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D05-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D60\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E87\u0E88\u0E8A\u0E8D\u0E94-\u0E97\u0E99-\u0E9F\u0EA1-\u0EA3\u0EA5\u0EA7\u0EAA\u0EAB\u0EAD-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F4\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u1700-\u170C\u170E-\u1711\u1720-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1877\u1880-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191C\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19C1-\u19C7\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4B\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1CE9-\u1CEC\u1CEE-\u1CF1\u1CF5\u1CF6\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2119-\u211D\u2124\u2126\u2128\u212A-\u212D\u212F-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2183\u2184\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u2E2F\u3005\u3006\u3031-\u3035\u303B\u303C\u3041-\u3096\u309D-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312D\u3131-\u318E\u31A0-\u31BA\u31F0-\u31FF\u3400-\u4DB5\u4E00-\u9FCC\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA697\uA6A0-\uA6E5\uA717-\uA71F\uA722-\uA788\uA78B-\uA78E\uA790-\uA793\uA7A0-\uA7AA\uA7F8-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA80-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uABC0-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC-0-9\u0660-\u0669\u06F0-\u06F9\u07C0-\u07C9\u0966-\u096F\u09E6-\u09EF\u0A66-\u0A6F\u0AE6-\u0AEF\u0B66-\u0B6F\u0BE6-\u0BEF\u0C66-\u0C6F\u0CE6-\u0CEF\u0D66-\u0D6F\u0DE6-\u0DEF\u0E50-\u0E59\u0ED0-\u0ED9\u0F20-\u0F29\u1040-\u1049\u1090-\u1099\u17E0-\u17E9\u1810-\u1819\u1946-\u194F\u19D0-\u19D9\u1A80-\u1A89\u1A90-\u1A99\u1B50-\u1B59\u1BB0-\u1BB9\u1C40-\u1C49\u1C50-\u1C59\uA620-\uA629\uA8D0-\uA8D9\uA900-\uA909\uA9D0-\uA9D9\uA9F0-\uA9F9\uAA50-\uAA59\uABF0-\uABF9\uFF10-\uFF19]+$/;
+        return (!value && value !== '0') ? false : this.checkSync(value, rule, options, params);
       }.bind(this),
       boolean: function(value, options, params) {
         return [0, 1, '0', '1', true, false].indexOf(value) !== -1;
       },
       creditCard: function(value, options, params) {
-        return co(function*() {
-          var rules = {
-            amex: /^3[4|7]\d{13}$/,
-            bankcard: /^56(10\d\d|022[1-5])\d{10}$/,
-            diners: /^(?:3(0[0-5]|[68]\d)\d{11})|(?:5[1-5]\d{14})$/,
-            disc: /^(?:6011|650\d)\d{12}$/,
-            electron: /^(?:417500|4917\d{2}|4913\d{2})\d{10}$/,
-            enroute: /^2(?:014|149)\d{11}$/,
-            jcb: /^(3\d{4}|2100|1800)\d{11}$/,
-            maestro: /^(?:5020|6\d{3})\d{12}$/,
-            mc: /^5[1-5]\d{14}$/,
-            solo: /^(6334[5-9][0-9]|6767[0-9]{2})\d{10}(\d{2,3})?$/,
-            'switch': /^(?:49(03(0[2-9]|3[5-9])|11(0[1-2]|7[4-9]|8[1-2])|36[0-9]{2})\d{10}(\d{2,3})?)|(?:564182\d{10}(\d{2,3})?)|(6(3(33[0-4][0-9])|759[0-9]{2})\d{10}(\d{2,3})?)$/,
-            visa: /^4\d{12}(\d{3})?$/,
-            voyager: /^8699[0-9]{11}$/,
-            fast: /^(?:4[0-9]{12}(?:[0-9]{3})?|5[1-5][0-9]{14}|6011[0-9]{12}|3(?:0[0-5]|[68][0-9])[0-9]{11}|3[47][0-9]{13})$/
-          };
-          options = extend({ deep: false }, options);
-
-          value = value.replace(/[- ]/g, '');
-
-          if (value.length < 13) {
-            return false;
-          }
-          var result = yield this.check(value, rules, options, params);
-          if (!result) {
-            return false;
-          }
-          return options.deep ? this.is('luhn', value) : true;
-        }.bind(this));
+        var rules = {
+          amex: /^3[4|7]\d{13}$/,
+          bankcard: /^56(10\d\d|022[1-5])\d{10}$/,
+          diners: /^(?:3(0[0-5]|[68]\d)\d{11})|(?:5[1-5]\d{14})$/,
+          disc: /^(?:6011|650\d)\d{12}$/,
+          electron: /^(?:417500|4917\d{2}|4913\d{2})\d{10}$/,
+          enroute: /^2(?:014|149)\d{11}$/,
+          jcb: /^(3\d{4}|2100|1800)\d{11}$/,
+          maestro: /^(?:5020|6\d{3})\d{12}$/,
+          mc: /^5[1-5]\d{14}$/,
+          solo: /^(6334[5-9][0-9]|6767[0-9]{2})\d{10}(\d{2,3})?$/,
+          'switch': /^(?:49(03(0[2-9]|3[5-9])|11(0[1-2]|7[4-9]|8[1-2])|36[0-9]{2})\d{10}(\d{2,3})?)|(?:564182\d{10}(\d{2,3})?)|(6(3(33[0-4][0-9])|759[0-9]{2})\d{10}(\d{2,3})?)$/,
+          visa: /^4\d{12}(\d{3})?$/,
+          voyager: /^8699[0-9]{11}$/,
+          fast: /^(?:4[0-9]{12}(?:[0-9]{3})?|5[1-5][0-9]{14}|6011[0-9]{12}|3(?:0[0-5]|[68][0-9])[0-9]{11}|3[47][0-9]{13})$/
+        };
+        options = extend({ deep: false }, options);
+
+        value = value.replace(/[- ]/g, '');
+
+        if (value.length < 13) {
+          return false;
+        }
+        if (!this.checkSync(value, rules, options, params)) {
+          return false;
+        }
+        return options.deep ? this.isSync('luhn', value) : true;
       }.bind(this),
       date: function(value, options, params) {
         if (!(value instanceof Date)) {
@@ -484,8 +1059,13 @@ class Checker {
         options = options || {};
         var p = options.precision;
         var regexp = p ? new RegExp('^[-+]?[0-9]*\.[0-9]{' + p + '}$') : /^[-+]?([0-9]+|[0-9]*\.[0-9]+(?:e[0-9]+)?)$/;
-        return this.check(String(value), regexp, options, params);
+        return this.checkSync(String(value), regexp, options, params);
       }.bind(this),
+      different: function(value, options, params) {
+        return compare(options, params, function(target) {
+          return !Sanitizer.equals(value, target);
+        });
+      },
       email: function(value, options, params) {
         if (!value) {
           return false;
@@ -514,19 +1094,19 @@ class Checker {
       },
       empty: /^\s*$/,
       equalTo: function(value, options, params) {
-        options = options || {};
-        if (options.key === undefined) {
-          return false;
-        }
-        var field = options.key;
-        var target = options.data !== undefined && options.data[field] !== undefined ? options.data[field] : null;
-        if (target === null && (options.skipNullKey || options.skipEmptyKey)) {
-          return true;
-        }
-        if (target === '' && options.skipEmptyKey) {
-          return true;
-        }
-        return value === target;
+        return compare(options, params, function(target) {
+          return value === target;
+        });
+      },
+      gt: function(value, options, params) {
+        return compare(options, params, function(target) {
+          return target !== null && comparable(value) > comparable(target);
+        });
+      },
+      gte: function(value, options, params) {
+        return compare(options, params, function(target) {
+          return target !== null && comparable(value) >= comparable(target);
+        });
       },
       inList: function(value, options) {
         options = extend({ list: []}, options);
@@ -582,6 +1162,16 @@ class Checker {
         options = options || {};
         return options.length !== undefined && typeof value === 'string' && value.length >= options.length;
       },
+      lt: function(value, options, params) {
+        return compare(options, params, function(target) {
+          return target !== null && comparable(value) < comparable(target);
+        });
+      },
+      lte: function(value, options, params) {
+        return compare(options, params, function(target) {
+          return target !== null && comparable(value) <= comparable(target);
+        });
+      },
       luhn: function(value, options, params) {
         if (typeof value !== 'string' || value === '') {
           return false;
@@ -615,31 +1205,262 @@ class Checker {
         value = Number.parseFloat(value);
         return !Number.isNaN(value) && Number.isFinite(value);
       },
+      pattern: function(value, options, params) {
+        options = options || {};
+        if (options.pattern === undefined || typeof value !== 'string') {
+          return false;
+        }
+        var pattern = options.pattern instanceof RegExp ? options.pattern : new RegExp(options.pattern);
+        return pattern.test(value);
+      },
       phone: /^\+?[0-9\(\)\-]{10,20}$/,
+      presentWith: function(value, options, params) {
+        options = options || {};
+        var fields = [].concat(options.fields || []).map(function(field) {
+          return Path.resolve(field, options.path);
+        });
+        params.fields = fields.join('`, `');
+        var required = fields.some(function(field) {
+          return filled(Path.get(options.data, field));
+        });
+        return !required || value !== undefined;
+      },
       regex: function(value, options, params) {
         return value instanceof RegExp;
       },
+      required: function(value, options, params) {
+        return value !== undefined;
+      },
+      requiredIf: function(value, options, params) {
+        options = options || {};
+        var values = Array.isArray(options.value) ? options.value : [options.value];
+        params.key = Path.resolve(options.key, options.path);
+        var required = values.indexOf(Path.get(options.data, params.key)) !== -1;
+        return !required || filled(value);
+      },
+      requiredUnless: function(value, options, params) {
+        options = options || {};
+        var values = Array.isArray(options.value) ? options.value : [options.value];
+        params.key = Path.resolve(options.key, options.path);
+        var required = values.indexOf(Path.get(options.data, params.key)) === -1;
+        return !required || filled(value);
+      },
+      requiredWith: function(value, options, params) {
+        options = options || {};
+        var fields = [].concat(options.fields || []).map(function(field) {
+          return Path.resolve(field, options.path);
+        });
+        params.fields = fields.join('`, `');
+        var required = fields.some(function(field) {
+          return filled(Path.get(options.data, field));
+        });
+        return !required || filled(value);
+      },
+      requiredWithAll: function(value, options, params) {
+        options = options || {};
+        var fields = [].concat(options.fields || []).map(function(field) {
+          return Path.resolve(field, options.path);
+        });
+        params.fields = fields.join('`, `');
+        var required = fields.length > 0 && fields.every(function(field) {
+          return filled(Path.get(options.data, field));
+        });
+        return !required || filled(value);
+      },
+      requiredWithout: function(value, options, params) {
+        options = options || {};
+        var fields = [].concat(options.fields || []).map(function(field) {
+          return Path.resolve(field, options.path);
+        });
+        params.fields = fields.join('`, `');
+        var required = fields.some(function(field) {
+          return !filled(Path.get(options.data, field));
+        });
+        return !required || filled(value);
+      },
+      sameAs: function(value, options, params) {
+        return compare(options, params, function(target) {
+          return Sanitizer.equals(value, target);
+        });
+      },
       time: /^((0?[1-9]|1[012])(:[0-5]\d){0,2}([AP]M|[ap]m))|^([01]\d|2[0-3])(:[0-5]\d){0,2}$/,
+      type: function(value, options, params) {
+        options = options || {};
+        var types = Array.isArray(options.type) ? options.type : [options.type];
+        return types.some(function(type) {
+          switch (type) {
+            case 'null':
+              return value === null;
+            case 'array':
+              return Array.isArray(value);
+            case 'object':
+              return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer':
+              return Number.isInteger(value);
+            case 'number':
+              return typeof value === 'number' && Number.isFinite(value);
+          }
+          return typeof value === type;
+        });
+      },
       url:  /^(?:\w+:)?\/\/([^\s\.]+\.\S{2}|localhost[\:?\d]*)\S*$/,
       uuid: /^[A-Fa-f0-9]{8}-[A-Fa-f0-9]{4}-[A-Fa-f0-9]{4}-[A-Fa-f0-9]{4}-[A-Fa-f0-9]{12}$/
     });
   }
-}
 
-/**
- * Global validation handlers.
- *
- * @var Object
- */
-Checker._handlers = {};
+  /**
+   * Returns the default registry used by the static methods.
+   *
+   * @return Checker The default registry.
+   */
+  static instance() {
+    return this._instance;
+  }
+
+  /**
+   * Sets or replaces one or several validation handlers of the default registry.
+   *
+   * @see Checker#set()
+   */
+  static set(name, rule) {
+    return this._instance.set.apply(this._instance, arguments);
+  }
+
+  /**
+   * Checks if a validation handler exists in the default registry.
+   *
+   * @see Checker#has()
+   */
+  static has(name) {
+    return this._instance.has.apply(this._instance, arguments);
+  }
+
+  /**
+   * Returns a validation handler of the default registry.
+   *
+   * @see Checker#get()
+   */
+  static get(name) {
+    return this._instance.get.apply(this._instance, arguments);
+  }
+
+  /**
+   * Gets/sets the validation handlers of the default registry.
+   *
+   * @see Checker#handlers()
+   */
+  static handlers(handlers, append) {
+    return this._instance.handlers.apply(this._instance, arguments);
+  }
+
+  /**
+   * Checks a single value against a validation handler of the default registry.
+   *
+   * @see Checker#is()
+   */
+  static is(name, value, options, params) {
+    return this._instance.is.apply(this._instance, arguments);
+  }
+
+  /**
+   * Checks a value against some handlers using the default registry.
+   *
+   * @see Checker#check()
+   */
+  static check(value, handlers, options, params) {
+    return this._instance.check.apply(this._instance, arguments);
+  }
+
+  /**
+   * Checks synchronously a single value against a validation handler of the default registry.
+   *
+   * @see Checker#isSync()
+   */
+  static isSync(name, value, options, params) {
+    return this._instance.isSync.apply(this._instance, arguments);
+  }
+
+  /**
+   * Checks synchronously a value against some handlers using the default registry.
+   *
+   * @see Checker#checkSync()
+   */
+  static checkSync(value, handlers, options, params) {
+    return this._instance.checkSync.apply(this._instance, arguments);
+  }
+
+  /**
+   * Gets/sets whether a validation handler of the default registry is implicit or not.
+   *
+   * @see Checker#implicit()
+   */
+  static implicit(name, implicit) {
+    return this._instance.implicit.apply(this._instance, arguments);
+  }
+
+  /**
+   * Gets/sets the positional option names of a validation handler of the default registry.
+   *
+   * @see Checker#signature()
+   */
+  static signature(name, names) {
+    return this._instance.signature.apply(this._instance, arguments);
+  }
+
+  /**
+   * Gets/sets the declared options of a validation handler of the default registry.
+   *
+   * @see Checker#options()
+   */
+  static options(name, declaration) {
+    return this._instance.options.apply(this._instance, arguments);
+  }
+
+  /**
+   * Gets/sets a particular error message of the default registry.
+   *
+   * @see Checker#message()
+   */
+  static message(name, message) {
+    return this._instance.message.apply(this._instance, arguments);
+  }
+
+  /**
+   * Gets/sets the error messages of the default registry.
+   *
+   * @see Checker#messages()
+   */
+  static messages(messages, append) {
+    return this._instance.messages.apply(this._instance, arguments);
+  }
+
+  /**
+   * Registers a plugin in the default registry.
+   *
+   * @see Checker#use()
+   */
+  static use(plugin, options) {
+    this._instance.use.apply(this._instance, arguments);
+    return this;
+  }
+
+  /**
+   * Resets or removes all the definitions of the default registry.
+   *
+   * @see Checker#reset()
+   */
+  static reset(totaly) {
+    return this._instance.reset.apply(this._instance, arguments);
+  }
+}
 
 /**
- * The error messages.
+ * The default registry.
  *
- * @var Object
+ * @var Checker
  */
-Checker._messages = {};
+Checker._instance = null;
 
-Checker.reset();
+Checker._instance = new Checker();
 
 module.exports = Checker;
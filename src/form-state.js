@@ -0,0 +1,332 @@
+var extend = require('extend-merge').extend;
+var Sanitizer = require('./sanitizer');
+var Path = require('./path');
+
+/**
+ * The `FormState` class is a framework agnostic store of a form state built on top of a `Validator`.
+ *
+ * It tracks the values, the dirty & touched fields, the pending validations and the errors of a form.
+ * Changed fields are validated (see `Validator#validateField()`) after a debounce delay while touched
+ * fields are validated right away.
+ *
+ * Example:
+ * {{{
+ * var form = new FormState(validator, { values: { email: '' }, debounce: 300 });
+ *
+ * var unsubscribe = form.subscribe(function(form) {
+ *   render(form.field('email')); // { value, dirty, touched, pending, errors }
+ * });
+ *
+ * form.set('email', 'willy@boy.com'); // on input
+ * form.touch('email');                // on blur
+ * form.validate().then(function(valid) { ... }); // on submit
+ * }}}
+ *
+ * Note: since the errors are logged on the validator (see `Validator#errors()`), a validator instance
+ * must not be shared by several forms.
+ */
+class FormState {
+
+  /**
+   * Constructor.
+   *
+   * @param Validator validator The validator of the form.
+   * @param Object    config    The config array. Possible values are:
+   *                            - `'values'`   _Object_ : The initial values (defaults to `{}`).
+   *                            - `'debounce'` _integer_: The delay in milliseconds before validating a
+   *                                                      changed field (defaults to `0`).
+   *                            - `'options'`  _Object_ : The validation options (see `Validator#validate()`).
+   */
+  constructor(validator, config) {
+    config = config || {};
+
+    /**
+     * The validator instance.
+     *
+     * @var Validator
+     */
+    this._validator = validator;
+
+    /**
+     * The debounce delay in milliseconds.
+     *
+     * @var Number
+     */
+    this._debounce = config.debounce || 0;
+
+    /**
+     * The validation options.
+     *
+     * @var Object
+     */
+    this._options = config.options || {};
+
+    /**
+     * The subscribed listeners.
+     *
+     * @var Array
+     */
+    this._listeners = [];
+
+    /**
+     * The debounce timers, the running validations and their abort controllers indexed by path
+     * (`''` for the whole form).
+     *
+     * @var Object
+     */
+    this._timers = {};
+    this._running = {};
+    this._controllers = {};
+
+    this.reset(config.values);
+  }
+
+  /**
+   * Resets the form state, pending validations are cancelled.
+   *
+   * @param  Object    values The new initial values (defaults to `{}`).
+   * @return FormState        Returns `this`.
+   */
+  reset(values) {
+    this._cancel();
+    this._validator.errors({});
+    this._initial = Sanitizer.clone(values || {});
+    this._values = Sanitizer.clone(this._initial);
+    this._touched = {};
+    this._pending = {};
+    this._errors = {};
+    this._notify();
+    return this;
+  }
+
+  /**
+   * Gets the values.
+   *
+   * @return Object A copy of the form values.
+   */
+  values() {
+    return Sanitizer.clone(this._values);
+  }
+
+  /**
+   * Gets a value.
+   *
+   * @param  String path A dotted path.
+   * @return mixed
+   */
+  value(path) {
+    return Path.get(this._values, path);
+  }
+
+  /**
+   * Sets a value and schedules the validation of its field.
+   *
+   * Note: errors thrown by handlers during scheduled validations are ignored, they are thrown by
+   * `touch()` and `validate()`.
+   *
+   * @param  String    path  A dotted path.
+   * @param  mixed     value The value to set.
+   * @return FormState       Returns `this`.
+   */
+  set(path, value) {
+    Path.assign(this._values, path, value);
+    this._notify();
+
+    clearTimeout(this._timers[path]);
+    this._timers[path] = setTimeout(function() {
+      delete this._timers[path];
+      this._run(path).catch(function() {});
+    }.bind(this), this._debounce);
+    return this;
+  }
+
+  /**
+   * Marks a field as touched (e.g. on blur) and validates it right away.
+   *
+   * @param  String  path A dotted path.
+   * @return Promise      Returns a promise resolving to `true` if the field is valid, `false` otherwise.
+   */
+  touch(path) {
+    this._touched[path] = true;
+    return this._run(path);
+  }
+
+  /**
+   * Validates the whole form (e.g. on submit) or a single field.
+   *
+   * @param  String  path An optional dotted path.
+   * @return Promise      Returns a promise resolving to `true` if valid, `false` otherwise.
+   */
+  validate(path) {
+    return this._run(path);
+  }
+
+  /**
+   * Gets the state of a field.
+   *
+   * @param  String path A dotted path.
+   * @return Object      The field state as `{ value, dirty, touched, pending, errors }`.
+   */
+  field(path) {
+    return {
+      value: this.value(path),
+      dirty: this.dirty(path),
+      touched: this.touched(path),
+      pending: this.pending(path),
+      errors: this.errors(path)
+    };
+  }
+
+  /**
+   * Checks if a field (or any field when no path is provided) differs from its initial value.
+   *
+   * @param  String  path An optional dotted path.
+   * @return Boolean
+   */
+  dirty(path) {
+    if (path === undefined) {
+      return !Sanitizer.equals(this._initial, this._values);
+    }
+    return !Sanitizer.equals(Path.get(this._initial, path), Path.get(this._values, path));
+  }
+
+  /**
+   * Checks if a field (or any field when no path is provided) has been touched.
+   *
+   * @param  String  path An optional dotted path.
+   * @return Boolean
+   */
+  touched(path) {
+    return path === undefined ? Object.keys(this._touched).length > 0 : !!this._touched[path];
+  }
+
+  /**
+   * Checks if a field (or the form when no path is provided) is being validated.
+   *
+   * @param  String  path An optional dotted path.
+   * @return Boolean
+   */
+  pending(path) {
+    return path === undefined ? Object.keys(this._pending).length > 0 : !!(this._pending[path] || this._pending['']);
+  }
+
+  /**
+   * Gets the errors of a field or all the errors when no path is provided.
+   *
+   * @param  String path An optional dotted path.
+   * @return mixed       The field errors or the errors indexed by value path.
+   */
+  errors(path) {
+    return path === undefined ? extend({}, this._errors) : (this._errors[path] || []);
+  }
+
+  /**
+   * Checks if the form doesn't have any errors.
+   *
+   * @return Boolean
+   */
+  valid() {
+    return !Object.keys(this._errors).length;
+  }
+
+  /**
+   * Subscribes to the form state changes.
+   *
+   * @param  Function listener A function called with the form state on each change.
+   * @return Function          Returns a function which unsubscribes the listener.
+   */
+  subscribe(listener) {
+    this._listeners.push(listener);
+    return function() {
+      var index = this._listeners.indexOf(listener);
+      if (index !== -1) {
+        this._listeners.splice(index, 1);
+      }
+    }.bind(this);
+  }
+
+  /**
+   * Runs a validation, the previous running validation of the same path is aborted.
+   *
+   * The values are copied so changes made while the validation is running don't affect it.
+   *
+   * @param  String  path A dotted path or `undefined` for the whole form.
+   * @return Promise      Returns a promise resolving to `true` if valid, `false` otherwise.
+   */
+  _run(path) {
+    var key = path === undefined ? '' : path;
+    for (var name in this._timers) {
+      if (name === key || key === '') {
+        clearTimeout(this._timers[name]);
+        delete this._timers[name];
+      }
+    }
+    if (this._controllers[key]) {
+      this._controllers[key].abort();
+    }
+
+    var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    var options = controller ? extend({}, this._options, { signal: controller.signal }) : this._options;
+    var validator = this._validator;
+
+    this._controllers[key] = controller;
+    this._pending[key] = true;
+    this._notify();
+
+    var values = Sanitizer.clone(this._values);
+    var running = path === undefined ? validator.validates(values, options) : validator.validateField(path, values, options);
+    running = running.then(function(valid) {
+      if (this._running[key] !== running) {
+        return this._running[key] || valid;
+      }
+      delete this._controllers[key];
+      delete this._running[key];
+      delete this._pending[key];
+      this._errors = validator.errors();
+      this._notify();
+      return valid;
+    }.bind(this), function(e) {
+      if (e.name === 'AbortError' && this._running[key] && this._running[key] !== running) {
+        return this._running[key];
+      }
+      if (this._running[key] === running) {
+        delete this._controllers[key];
+        delete this._running[key];
+        delete this._pending[key];
+        this._notify();
+      }
+      throw e;
+    }.bind(this));
+
+    this._running[key] = running;
+    return running;
+  }
+
+  /**
+   * Cancels the scheduled and running validations.
+   */
+  _cancel() {
+    for (var key in this._timers) {
+      clearTimeout(this._timers[key]);
+    }
+    for (var key in this._controllers) {
+      if (this._controllers[key]) {
+        this._controllers[key].abort();
+      }
+    }
+    this._timers = {};
+    this._running = {};
+    this._controllers = {};
+  }
+
+  /**
+   * Notifies the listeners of a change.
+   */
+  _notify() {
+    for (var listener of this._listeners.slice()) {
+      listener(this);
+    }
+  }
+}
+
+module.exports = FormState;
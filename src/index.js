@@ -1,7 +1,13 @@
 var Checker = require('./checker');
+var Sanitizer = require('./sanitizer');
 var Validator = require('./validator');
+var JsonSchema = require('./json-schema');
+var FormState = require('./form-state');
 
 module.exports = {
   Checker: Checker,
-  Validator: Validator
+  Sanitizer: Sanitizer,
+  Validator: Validator,
+  JsonSchema: JsonSchema,
+  FormState: FormState
 };
@@ -0,0 +1,621 @@
+var extend = require('extend-merge').extend;
+var Validator = require('./validator');
+
+/**
+ * The `JsonSchema` class converts JSON Schema documents (draft 2020-12 subset) into `Validator` rules
+ * and `Validator` rules into JSON Schema documents.
+ *
+ * Example:
+ * {{{
+ * import { JsonSchema } from 'chaos-validator';
+ *
+ * var validator = JsonSchema.toValidator({
+ *   type: 'object',
+ *   required: ['title'],
+ *   properties: {
+ *     title: { type: 'string', minLength: 3, maxLength: 20 },
+ *     tags: { type: 'array', items: { enum: ['news', 'blog'] } }
+ *   }
+ * });
+ * validator.validates({ title: 'new title' }); // Promise
+ * }}}
+ *
+ * The supported keywords are `type`, `required`, `properties`, `items`, `minLength`, `maxLength`,
+ * `minimum`, `maximum`, `pattern`, `enum` and `format`. Annotation keywords (i.e. `title`,
+ * `description`, etc.) are ignored while any other keyword throws an exception.
+ *
+ * Note: the required properties of optional objects and array items are imported as `presentWith`
+ * rules depending on their parent, so they must be present (possibly blank) once their parent is present.
+ * The keywords which only apply to some types (e.g. `minimum` or `minLength`) are checked against
+ * values of other types unless the `type` keyword rules them out, so they are imported as `anyOf`
+ * rules skipping the values of other types (e.g. `{ anyOf: { rules: [{ 'not:type': { type: 'number' } },
+ * { min: { min: 5 } }] } }`).
+ *
+ * The other way around, a JSON Schema document can be generated from a validator:
+ * {{{
+ * var result = JsonSchema.fromValidator(validator);
+ * result.schema;      // The JSON Schema document
+ * result.unsupported; // The rules which can't be expressed in JSON Schema, e.g. `[{ field: 'card', rule: 'creditCard' }]`
+ * }}}
+ */
+class JsonSchema {
+
+  /**
+   * Gets/sets classes dependencies.
+   *
+   * @param  Object classes The classes dependencies to set or none to get it.
+   * @return mixed          The classes dependencies.
+   */
+  static classes(classes) {
+    if (arguments.length) {
+      this._classes = extend({}, this._classes, classes);
+    }
+    return this._classes;
+  }
+
+  /**
+   * Creates a validator from a JSON Schema document.
+   *
+   * @param  Object    schema The JSON Schema document.
+   * @param  Object    config The validator config.
+   * @return Validator        The validator.
+   */
+  static toValidator(schema, config) {
+    var validator = new (this.classes().validator)(config);
+    var rules = this.rules(schema);
+    for (var field in rules) {
+      validator.rule(field, rules[field]);
+    }
+    return validator;
+  }
+
+  /**
+   * Converts a JSON Schema document into some validation rules indexed by dotted field paths.
+   *
+   * @param  Object schema The JSON Schema document.
+   * @return Object        The validation rules (e.g. `{ 'tags.*': { inList: { list: [...] } } }`).
+   */
+  static rules(schema) {
+    var rules = {};
+    for (var keyword in schema) {
+      if (this._annotations.indexOf(keyword) !== -1) {
+        continue;
+      }
+      if (keyword === 'type' && schema.type === 'object') {
+        continue;
+      }
+      if (keyword !== 'properties' && keyword !== 'required') {
+        throw new Error("Unsupported JSON Schema keyword `" + keyword + "` at `#`.");
+      }
+    }
+    this._properties(schema, '', true, rules);
+    return rules;
+  }
+
+  /**
+   * Converts the `properties` & `required` keywords of an object schema.
+   *
+   * @param Object  schema   The object schema.
+   * @param String  path     The dotted path of the object.
+   * @param Boolean required Indicates whether the object is required or not.
+   * @param Object  rules    The validation rules to populate.
+   */
+  static _properties(schema, path, required, rules) {
+    var properties = extend({}, schema.properties);
+    var names = schema.required || [];
+    for (var name of names) {
+      if (properties[name] === undefined) {
+        properties[name] = {};
+      }
+    }
+    for (name in properties) {
+      var field = path ? path + '.' + name : name;
+      var needed = names.indexOf(name) !== -1;
+      this._convert(properties[name], field, required && needed, rules, !required && needed ? path : undefined);
+    }
+  }
+
+  /**
+   * Converts a schema into the validation rules of a field.
+   *
+   * @param Object  schema   The schema.
+   * @param String  field    The dotted path of the field.
+   * @param Boolean required Indicates whether the field is required or not.
+   * @param Object  rules    The validation rules to populate.
+   * @param String  parent   The dotted path of the optional parent requiring the field if any.
+   */
+  static _convert(schema, field, required, rules, parent) {
+    if (schema === true) {
+      schema = {};
+    }
+    if (!schema || typeof schema !== 'object') {
+      throw new Error("Unsupported JSON Schema at `" + field + "`.");
+    }
+    var result = {};
+
+    for (var keyword in schema) {
+      var value = schema[keyword];
+
+      if (this._annotations.indexOf(keyword) !== -1) {
+        continue;
+      }
+      switch (keyword) {
+        case 'type':
+          result.type = { type: value };
+          break;
+        case 'minLength':
+          if (schema.maxLength !== undefined) {
+            result.lengthBetween = { min: value, max: schema.maxLength };
+          } else {
+            result.lengthMin = { length: value };
+          }
+          break;
+        case 'maxLength':
+          if (schema.minLength === undefined) {
+            result.lengthMax = { length: value };
+          }
+          break;
+        case 'minimum':
+          result.min = { min: value };
+          break;
+        case 'maximum':
+          result.max = { max: value };
+          break;
+        case 'pattern':
+          result.pattern = { pattern: value };
+          break;
+        case 'enum':
+          result.inList = { list: value };
+          break;
+        case 'format':
+          if (this._formats[value] === undefined) {
+            throw new Error("Unsupported JSON Schema format `" + value + "` at `" + field + "`.");
+          }
+          result[this._formats[value]] = {};
+          break;
+        case 'properties':
+        case 'required':
+          break;
+        case 'items':
+          if (Array.isArray(value) || typeof value !== 'object') {
+            throw new Error("Unsupported JSON Schema keyword `items` at `" + field + "`.");
+          }
+          break;
+        default:
+          throw new Error("Unsupported JSON Schema keyword `" + keyword + "` at `" + field + "`.");
+      }
+    }
+
+    result = this._guard(result, schema.type);
+
+    if (!Object.keys(result).length && required) {
+      result.required = {};
+    }
+    for (var name in result) {
+      result[name].required = required;
+    }
+    if (parent !== undefined) {
+      result = extend({ presentWith: { fields: parent } }, result);
+    }
+    if (Object.keys(result).length) {
+      rules[field] = extend(rules[field] || {}, result);
+    }
+
+    if (schema.properties || schema.required) {
+      this._properties(schema, field, required, rules);
+    }
+    if (schema.items !== undefined) {
+      this._convert(schema.items, field + '.*', false, rules);
+    }
+  }
+
+  /**
+   * Guards the rules of the keywords which only apply to some types (see `JsonSchema._guards`).
+   *
+   * The rules are kept as is when the declared `type` only allows their types, removed when it doesn't
+   * allow any of them, and wrapped into an `anyOf` rule skipping the values of other types otherwise.
+   *
+   * @param  Object rules The validation rules.
+   * @param  mixed  type  The `type` keyword value if any.
+   * @return Object       The guarded validation rules.
+   */
+  static _guard(rules, type) {
+    var types = type === undefined ? [] : [].concat(type);
+    var result = {};
+    var guarded = [];
+
+    for (var name in rules) {
+      result[name] = rules[name];
+    }
+    for (var guard in this._guards) {
+      var names = this._guards[guard].rules.filter(function(name) {
+        return result[name] !== undefined;
+      });
+      var allowed = this._guards[guard].types;
+      var matching = types.filter(function(type) {
+        return allowed.indexOf(type) !== -1;
+      });
+      if (!names.length || (types.length && matching.length === types.length)) {
+        continue;
+      }
+      var branch = {};
+      for (var name of names) {
+        branch[name] = result[name];
+        delete result[name];
+      }
+      if (!types.length || matching.length) {
+        guarded.push({ anyOf: { rules: [{ 'not:type': { type: guard } }, branch] } });
+      }
+    }
+    if (guarded.length === 1) {
+      result.anyOf = guarded[0].anyOf;
+    } else if (guarded.length) {
+      result.allOf = { rules: guarded };
+    }
+    return result;
+  }
+
+  /**
+   * Generates a JSON Schema document from the rules of a validator.
+   *
+   * Dotted field paths are converted into nested `properties` and `*` into `items`, `schema` rules are
+   * converted using the schema of their nested validator. Rules which can't
+   * be expressed in JSON Schema (custom handlers, conditional, event or format specific rules, etc.) are reported.
+   *
+   * A field is required as soon as one of its unconditional rules is required, whether this rule can be
+   * expressed or not.
+   *
+   * @param  Validator validator The validator.
+   * @return Object              An object with the following keys:
+   *                             - `'schema'`      _Object_: The JSON Schema document.
+   *                             - `'unsupported'` _Array_ : The unexpressible rules as `{ field, rule }` objects.
+   */
+  static fromValidator(validator) {
+    var schema = { $schema: 'https://json-schema.org/draft/2020-12/schema' };
+    var unsupported = [];
+    var rules = validator.rules();
+
+    for (var field in rules) {
+      var required = false;
+      var path = field.split('.');
+      var node = this._node(schema, path);
+
+      for (var name in rules[field]) {
+        var options = rules[field][name];
+        if (options.required !== false && !options.on && !options.when && !validator.implicit(name)) {
+          required = true;
+        }
+        if (this._nested(name, options, path)) {
+          var parent = this._node(schema, path.slice(0, -1));
+          parent.required = parent.required || [];
+          if (parent.required.indexOf(path[path.length - 1]) === -1) {
+            parent.required.push(path[path.length - 1]);
+          }
+          continue;
+        }
+        var keywords = this._keywords(name, options);
+        if (name === 'schema' && keywords) {
+          var nested = this.fromValidator(options.validator);
+          delete nested.schema.$schema;
+          keywords = nested.schema;
+          for (var item of nested.unsupported) {
+            unsupported.push({ field: field + '.' + item.field, rule: item.rule });
+          }
+        }
+        if (!keywords) {
+          unsupported.push({ field: field, rule: name });
+          continue;
+        }
+        this._assign(node, keywords);
+      }
+      if (required) {
+        this._require(schema, path);
+      }
+    }
+    this._types(schema);
+    return { schema: schema, unsupported: unsupported };
+  }
+
+  /**
+   * Checks if a rule requires a field once its parent is present (i.e. a `presentWith` rule on the
+   * parent path), which is expressed by the `required` keyword of the parent.
+   *
+   * @param  String  name    The rule name.
+   * @param  Object  options The rule options.
+   * @param  Array   path    The field path as an array of field names.
+   * @return Boolean
+   */
+  static _nested(name, options, path) {
+    options = options || {};
+    if (name !== 'presentWith' || options.on || options.when || path.length < 2 || path[path.length - 1] === '*') {
+      return false;
+    }
+    return options.fields === path.slice(0, -1).join('.');
+  }
+
+  /**
+   * Converts a validation rule into some JSON Schema keywords.
+   *
+   * @param  String name    The rule name.
+   * @param  Object options The rule options.
+   * @return Object         The JSON Schema keywords or `null` if the rule can't be expressed.
+   */
+  static _keywords(name, options) {
+    options = options || {};
+    if (options.on || options.when || (options.format && options.format !== 'any')) {
+      return null;
+    }
+    var keywords;
+    if (name.substring(0, 4) === 'not:') {
+      keywords = this._keywords(name.substring(4), extend({}, options, { skipNull: false, skipEmpty: false }));
+      keywords = keywords && Object.keys(keywords).length && name !== 'not:schema' ? { not: keywords } : null;
+      if (keywords && name === 'not:empty') {
+        keywords = { anyOf: [{ not: { type: 'string' } }, keywords] };
+      }
+    } else if (name === 'schema') {
+      keywords = {};
+    } else if (this._composites[name]) {
+      keywords = this._composite(name, options.rules || []);
+    } else {
+      keywords = this._handlers[name] ? this._handlers[name](options) : null;
+    }
+    if (!keywords || Object.keys(keywords).some(function(keyword) {
+      return keywords[keyword] === undefined;
+    })) {
+      return null;
+    }
+    if (options.skipEmpty) {
+      return { anyOf: [{ type: 'null' }, { const: '' }, keywords] };
+    }
+    if (options.skipNull) {
+      return { anyOf: [{ type: 'null' }, keywords] };
+    }
+    return keywords;
+  }
+
+  /**
+   * Converts a composite rule into some JSON Schema keywords.
+   *
+   * @param  String name     The composite rule name.
+   * @param  Array  branches The branches rules definitions.
+   * @return Object          The JSON Schema keywords or `null` if a branch can't be expressed.
+   */
+  static _composite(name, branches) {
+    var validator = this.classes().validator;
+    var schemas = [];
+    for (var branch of branches) {
+      var rules = validator.normalize(branch);
+      var schema = {};
+      for (var rule in rules) {
+        var keywords = this._keywords(rule, rules[rule]);
+        if (!keywords || rule === 'schema') {
+          return null;
+        }
+        this._assign(schema, keywords);
+      }
+      schemas.push(schema);
+    }
+    var keyword = this._composites[name];
+    var result = {};
+    result[keyword] = schemas;
+    return name === 'noneOf' ? { not: result } : result;
+  }
+
+  /**
+   * Returns the schema node of a field path, creating the intermediate nodes if needed.
+   *
+   * @param  Object schema The root schema.
+   * @param  Array  path   The field path as an array of field names.
+   * @return Object        The schema node.
+   */
+  static _node(schema, path) {
+    var node = schema;
+    for (var name of path) {
+      if (name === '*') {
+        node = node.items = node.items || {};
+      } else {
+        node.properties = node.properties || {};
+        node = node.properties[name] = node.properties[name] || {};
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Adds some keywords to a schema node, conflicting keywords are combined using `allOf`.
+   *
+   * @param Object node     The schema node.
+   * @param Object keywords The keywords to add.
+   */
+  static _assign(node, keywords) {
+    for (var keyword in keywords) {
+      if (node[keyword] === undefined) {
+        node[keyword] = keywords[keyword];
+      } else if (JSON.stringify(node[keyword]) !== JSON.stringify(keywords[keyword])) {
+        var constraint = {};
+        constraint[keyword] = keywords[keyword];
+        node.allOf = node.allOf || [];
+        node.allOf.push(constraint);
+      }
+    }
+  }
+
+  /**
+   * Marks a field path as required.
+   *
+   * @param Object schema The root schema.
+   * @param Array  path   The field path as an array of field names.
+   */
+  static _require(schema, path) {
+    var node = schema;
+    for (var name of path) {
+      if (name === '*') {
+        node = node.items;
+        continue;
+      }
+      node.required = node.required || [];
+      if (node.required.indexOf(name) === -1) {
+        node.required.push(name);
+      }
+      node = node.properties[name];
+    }
+  }
+
+  /**
+   * Sets the `type` keyword of untyped object and array nodes.
+   *
+   * @param Object node The schema node.
+   */
+  static _types(node) {
+    if (node.properties) {
+      node.type = node.type || 'object';
+      for (var name in node.properties) {
+        this._types(node.properties[name]);
+      }
+    }
+    if (node.items) {
+      node.type = node.type || 'array';
+      this._types(node.items);
+    }
+  }
+}
+
+JsonSchema._classes = {
+  validator: Validator
+};
+
+/**
+ * The ignored annotation keywords.
+ *
+ * @var Array
+ */
+JsonSchema._annotations = [
+  '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'
+];
+
+/**
+ * The validation rules which only apply to some types indexed by the type checked by their guard.
+ *
+ * @var Object
+ */
+JsonSchema._guards = {
+  number: {
+    types: ['number', 'integer'],
+    rules: ['min', 'max']
+  },
+  string: {
+    types: ['string'],
+    rules: ['lengthBetween', 'lengthMin', 'lengthMax', 'pattern', 'email', 'uuid', 'url', 'ip', 'date', 'time']
+  }
+};
+
+/**
+ * The JSON Schema formats mapped to their validation handler.
+ *
+ * @var Object
+ */
+JsonSchema._formats = {
+  email: 'email',
+  uuid: 'uuid',
+  uri: 'url',
+  ipv4: 'ip',
+  ipv6: 'ip',
+  'date-time': 'date',
+  date: 'date',
+  time: 'time'
+};
+
+/**
+ * The composite rules mapped to their JSON Schema keywords.
+ *
+ * @var Object
+ */
+JsonSchema._composites = {
+  anyOf: 'anyOf',
+  allOf: 'allOf',
+  oneOf: 'oneOf',
+  noneOf: 'anyOf'
+};
+
+/**
+ * The validation rules mapped to their JSON Schema keywords.
+ *
+ * @var Object
+ */
+JsonSchema._handlers = {
+  type: function(options) {
+    return { type: options.type };
+  },
+  required: function(options) {
+    return {};
+  },
+  integer: function(options) {
+    return { type: 'integer' };
+  },
+  numeric: function(options) {
+    return { type: 'number' };
+  },
+  boolean: function(options) {
+    return { type: 'boolean' };
+  },
+  inRange: function(options) {
+    var keywords = { type: 'number' };
+    if (options.lower !== undefined) {
+      keywords.minimum = options.lower;
+    }
+    if (options.upper !== undefined) {
+      keywords.maximum = options.upper;
+    }
+    return keywords;
+  },
+  length: function(options) {
+    return { minLength: options.length, maxLength: options.length };
+  },
+  lengthBetween: function(options) {
+    return { minLength: options.min, maxLength: options.max };
+  },
+  lengthMin: function(options) {
+    return { minLength: options.length };
+  },
+  lengthMax: function(options) {
+    return { maxLength: options.length };
+  },
+  min: function(options) {
+    return { minimum: options.min };
+  },
+  max: function(options) {
+    return { maximum: options.max };
+  },
+  pattern: function(options) {
+    if (options.pattern instanceof RegExp) {
+      return options.pattern.flags ? null : { pattern: options.pattern.source };
+    }
+    return { pattern: options.pattern };
+  },
+  inList: function(options) {
+    return { enum: options.list || [] };
+  },
+  empty: function(options) {
+    return { pattern: '^\\s*$' };
+  },
+  email: function(options) {
+    return { format: 'email' };
+  },
+  uuid: function(options) {
+    return { format: 'uuid' };
+  },
+  url: function(options) {
+    return { format: 'uri' };
+  },
+  ip: function(options) {
+    return { anyOf: [{ format: 'ipv4' }, { format: 'ipv6' }] };
+  },
+  date: function(options) {
+    return { format: 'date-time' };
+  },
+  time: function(options) {
+    return { format: 'time' };
+  }
+};
+
+module.exports = JsonSchema;
@@ -0,0 +1,159 @@
+/**
+ * The `Path` class provides access to values of nested data structures using dotted paths.
+ *
+ * Example:
+ * {{{
+ * Path.get({ address: { city: 'Paris' } }, 'address.city'); // 'Paris'
+ * }}}
+ */
+class Path {
+
+  /**
+   * Splits a dotted path.
+   *
+   * @param  mixed path A dotted path or an array of field names.
+   * @return Array      An array of field names.
+   */
+  static split(path) {
+    if (Array.isArray(path)) {
+      return path;
+    }
+    return path === '' || path == null ? [] : String(path).split('.');
+  }
+
+  /**
+   * Gets a value using a dotted path.
+   *
+   * @param  mixed data The data.
+   * @param  mixed path A dotted path or an array of field names.
+   * @return mixed      The value or `undefined` if the path doesn't exist.
+   */
+  static get(data, path) {
+    for (var field of this.split(path)) {
+      if (data === undefined || data === null) {
+        return;
+      }
+      data = typeof data.get === 'function' ? data.get(field) : data[field];
+    }
+    return data;
+  }
+
+  /**
+   * Sets a value using a dotted path. Intermediate values must exist.
+   *
+   * @param  mixed   data  The data.
+   * @param  mixed   path  A dotted path or an array of field names.
+   * @param  mixed   value The value to set.
+   * @return Boolean       Returns `true` if the value has been set, `false` otherwise.
+   */
+  static set(data, path, value) {
+    path = this.split(path);
+    if (!path.length) {
+      return false;
+    }
+    var parent = this.get(data, path.slice(0, -1));
+    var field = path[path.length - 1];
+    if (parent === undefined || parent === null || typeof parent !== 'object') {
+      return false;
+    }
+    if (typeof parent.set === 'function') {
+      parent.set(field, value);
+    } else {
+      parent[field] = value;
+    }
+    return true;
+  }
+
+  /**
+   * Sets a value using a dotted path, missing intermediate values are created (arrays for numeric
+   * field names, objects otherwise).
+   *
+   * @param  mixed   data  The data.
+   * @param  mixed   path  A dotted path or an array of field names.
+   * @param  mixed   value The value to set.
+   * @return Boolean       Returns `true` if the value has been set, `false` otherwise.
+   */
+  static assign(data, path, value) {
+    path = this.split(path);
+    for (var i = 0; i < path.length - 1; i++) {
+      if (data === undefined || data === null || typeof data !== 'object') {
+        return false;
+      }
+      var next = this.get(data, [path[i]]);
+      if (next === undefined || next === null) {
+        next = /^\d+$/.test(path[i + 1]) ? [] : {};
+        this.set(data, [path[i]], next);
+      }
+      data = next;
+    }
+    return this.set(data, path.slice(-1), value);
+  }
+
+  /**
+   * Removes a value using a dotted path (array items are spliced).
+   *
+   * @param  mixed   data The data.
+   * @param  mixed   path A dotted path or an array of field names.
+   * @return Boolean      Returns `true` if the value has been removed, `false` otherwise.
+   */
+  static remove(data, path) {
+    path = this.split(path);
+    if (!path.length) {
+      return false;
+    }
+    var parent = this.get(data, path.slice(0, -1));
+    var field = path[path.length - 1];
+    if (parent === undefined || parent === null || typeof parent !== 'object') {
+      return false;
+    }
+    if (Array.isArray(parent)) {
+      parent.splice(Number(field), 1);
+    } else if (typeof parent.delete === 'function') {
+      parent.delete(field);
+    } else {
+      delete parent[field];
+    }
+    return true;
+  }
+
+  /**
+   * Resolves a field reference against the path of a value.
+   *
+   * References can be:
+   * - dotted paths where `*` are replaced by the indexes of the value path at the same position
+   *   (e.g. `'items.*.start'` resolves to `'items.2.start'` for `'items.2.end'`).
+   * - `'$sibling.name'` references, which designate a field of the object containing the value
+   *   (e.g. `'$sibling.start'` resolves to `'items.2.start'` for `'items.2.end'`).
+   * - `'$parent.name'` references, which designate a field of the enclosing object, array indexes
+   *   being skipped (e.g. `'$parent.start'` resolves to `'order.start'` for `'order.items.2.end'`).
+   *   `'$parent'` can be repeated to go up further (e.g. `'$parent.$parent.name'`).
+   *
+   * @param  String reference The field reference.
+   * @param  mixed  path      The dotted path of the value (or an array of field names).
+   * @return String           The resolved dotted path.
+   */
+  static resolve(reference, path) {
+    var fields = this.split(reference);
+    var base = this.split(path);
+
+    if (fields[0] === '$sibling' || fields[0] === '$parent') {
+      base = base.slice(0, -1);
+      if (fields[0] === '$sibling') {
+        fields = fields.slice(1);
+      }
+      while (fields[0] === '$parent') {
+        if (/^(\d+|\*)$/.test(base.pop())) {
+          base.pop();
+        }
+        fields = fields.slice(1);
+      }
+      return base.concat(fields).join('.');
+    }
+
+    return fields.map(function(field, index) {
+      return field === '*' && base[index] !== undefined ? base[index] : field;
+    }).join('.');
+  }
+}
+
+module.exports = Path;
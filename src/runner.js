@@ -0,0 +1,189 @@
+var co = require('co');
+
+/**
+ * The `Runner` class drives the generators used internally by `Checker` and `Validator`.
+ *
+ * Generators yield the values to wait for (e.g. the results of validation handlers). The same
+ * generator can be run asynchronously, where yielded promises are awaited, or synchronously,
+ * where yielding a promise is an error.
+ *
+ * Example:
+ * {{{
+ * var iterator = function*() {
+ *   var value = yield 5;
+ *   return value * 2;
+ * };
+ *
+ * Runner.sync(iterator());  // 10
+ * Runner.async(iterator()); // Promise resolving to 10
+ * }}}
+ */
+class Runner {
+
+  /**
+   * Runs a generator synchronously.
+   *
+   * @param  Object iterator The generator object.
+   * @return mixed           The returned value of the generator.
+   * @throws Error           If the generator yields a promise.
+   */
+  static sync(iterator) {
+    var next = iterator.next();
+    while (!next.done) {
+      if (this.thenable(next.value)) {
+        throw new Error("Unable to run synchronously, an asynchronous handler returned a promise.");
+      }
+      next = iterator.next(next.value);
+    }
+    return next.value;
+  }
+
+  /**
+   * Runs a generator asynchronously.
+   *
+   * @param  Object  iterator The generator object.
+   * @return Promise          Returns a promise resolving to the returned value of the generator.
+   */
+  static async(iterator) {
+    return co(function* () {
+      var next = iterator.next();
+      while (!next.done) {
+        var value;
+        try {
+          value = yield Promise.resolve(next.value);
+        } catch (e) {
+          next = iterator.throw(e);
+          continue;
+        }
+        next = iterator.next(value);
+      }
+      return next.value;
+    });
+  }
+
+  /**
+   * Runs some asynchronous tasks with a concurrency limit.
+   *
+   * Example:
+   * {{{
+   * Runner.pool([
+   *   function() { return fetchUser(1); },
+   *   function() { return fetchUser(2); },
+   *   function() { return fetchUser(3); }
+   * ], 2); // Promise resolving to `[user1, user2, user3]`
+   * }}}
+   *
+   * @param  Array    tasks       The tasks to run, as functions returning a value or a promise.
+   * @param  Number   concurrency The maximum number of tasks running at the same time.
+   * @param  Function stop        An optional function called with each task result. When it returns
+   *                              `true`, no more tasks are started and the pending tasks results are
+   *                              left `undefined`.
+   * @return Promise              Returns a promise resolving to the results in the tasks order.
+   */
+  static pool(tasks, concurrency, stop) {
+    return new Promise(function(resolve, reject) {
+      var results = new Array(tasks.length);
+      var next = 0;
+      var running = 0;
+      var stopped = false;
+      var failed = false;
+
+      var launch = function() {
+        if (failed) {
+          return;
+        }
+        if ((stopped || next >= tasks.length) && !running) {
+          return resolve(results);
+        }
+        while (!stopped && running < concurrency && next < tasks.length) {
+          run(next++);
+        }
+      };
+
+      var run = function(index) {
+        running++;
+        Promise.resolve().then(tasks[index]).then(function(result) {
+          running--;
+          results[index] = result;
+          if (stop && stop(result)) {
+            stopped = true;
+          }
+          launch();
+        }, function(e) {
+          failed = true;
+          reject(e);
+        });
+      };
+
+      launch();
+    });
+  }
+
+  /**
+   * Waits for a promise up to a time limit.
+   *
+   * @param  Promise promise  The promise to wait for.
+   * @param  Number  ms       The time limit in milliseconds.
+   * @param  mixed   fallback The value to resolve with when the time limit is reached.
+   * @return Promise          Returns a promise resolving to the promise value or to `fallback`.
+   */
+  static timeout(promise, ms, fallback) {
+    var timer;
+    return Promise.race([
+      promise,
+      new Promise(function(resolve) {
+        timer = setTimeout(function() {
+          resolve(fallback);
+        }, ms);
+      })
+    ]).then(function(value) {
+      clearTimeout(timer);
+      return value;
+    }, function(e) {
+      clearTimeout(timer);
+      throw e;
+    });
+  }
+
+  /**
+   * Waits for a promise until an `AbortSignal` is aborted.
+   *
+   * @param  Promise promise  The promise to wait for.
+   * @param  Object  signal   The `AbortSignal` instance.
+   * @param  mixed   fallback The value to resolve with when the signal is aborted.
+   * @return Promise          Returns a promise resolving to the promise value or to `fallback`.
+   */
+  static abortable(promise, signal, fallback) {
+    var listener;
+    return Promise.race([
+      promise,
+      new Promise(function(resolve) {
+        listener = function() {
+          resolve(fallback);
+        };
+        if (signal.aborted) {
+          return listener();
+        }
+        signal.addEventListener('abort', listener);
+      })
+    ]).then(function(value) {
+      signal.removeEventListener('abort', listener);
+      return value;
+    }, function(e) {
+      signal.removeEventListener('abort', listener);
+      throw e;
+    });
+  }
+
+  /**
+   * Checks if a value is a promise (or a promise-like object).
+   *
+   * @param  mixed   value The value to check.
+   * @return Boolean
+   */
+  static thenable(value) {
+    return !!value && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+  }
+}
+
+module.exports = Runner;
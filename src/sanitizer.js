@@ -0,0 +1,257 @@
+var extend = require('extend-merge').extend;
+
+/**
+ * Converts a number or a numeric string into a number.
+ *
+ * @param  mixed  value The value to convert.
+ * @return Number       The number or `undefined` if the value is not numeric.
+ */
+function toNumber(value) {
+  if (typeof value === 'string') {
+    value = value.trim();
+    if (value === '') {
+      return;
+    }
+    value = Number(value);
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * The `Sanitizer` class provides static access to commonly used data filters.
+ *
+ * A filter is a function taking a value and some options as parameters and returning the filtered
+ * value (or a promise resolving to it).
+ *
+ * Example:
+ * {{{
+ * import { Sanitizer } from 'chaos-validator';
+ *
+ * Sanitizer.apply('trim', '  hello  '); // 'hello'
+ * }}}
+ *
+ * The following is the list of the built-in filters, but keep in mind that any filter may be
+ * overridden by adding a new filter of the same name using the `.set()` method.
+ *
+ * - `lowercase`: Converts a string to lower case.
+ *
+ * - `normalize`: Normalizes the Unicode form of a string. The available option is `'form'` (i.e.
+ *   `'NFC'`, `'NFD'`, `'NFKC'` or `'NFKD'`, defaults to `'NFC'`).
+ *
+ * - `stripTags`: Strips the HTML tags of a string.
+ *
+ * - `toBoolean`: Converts values which looks like a boolean value (see the `accepted` rule) into
+ *   booleans.
+ *
+ * - `toDate`: Converts strings and timestamps into `Date` instances.
+ *
+ * - `toFloat`: Converts a numeric value into a float.
+ *
+ * - `toInt`: Converts a numeric value into an integer, non integer values are left unchanged.
+ *
+ * - `trim`: Strips whitespaces from the beginning and the end of a string.
+ *
+ * Values which can't be converted are left unchanged so they can still be rejected by validation rules.
+ */
+class Sanitizer {
+
+  /**
+   * Sets or replaces one or several filters.
+   *
+   * @param mixed name   The name of the filter (string), or an object of key/value pairs of names and
+   *                     filters.
+   * @param mixed filter If name is a string, this should be the filter function. Should be left blank
+   *                     if `name` is an Object.
+   */
+  static set(name, filter) {
+    var filters;
+    if (typeof name === 'string') {
+      filters = {};
+      filters[name] = filter;
+    } else {
+      filters = extend({}, name);
+    }
+    this._filters = extend({}, this._filters, filters);
+  }
+
+  /**
+   * Checks if a filter exists.
+   *
+   * @param String name A filter name.
+   */
+  static has(name) {
+    return this._filters[name] !== undefined;
+  }
+
+  /**
+   * Returns a filter.
+   *
+   * @param String name A filter name.
+   */
+  static get(name) {
+    if (this._filters[name] !== undefined) {
+       return this._filters[name];
+    }
+    throw new Error("Unexisting `" + name + "` as filter.");
+  }
+
+  /**
+   * Gets/sets the available filters.
+   *
+   * @param  Object  filters The filters to set.
+   * @param  Boolean append  Indicating if the filters need to be appended or replaced.
+   * @return Object          The list of available filters
+   */
+  static filters(filters, append) {
+    if (!arguments.length) {
+      return extend({}, this._filters);
+    }
+    append = append === undefined ? true : append;
+    if (append) {
+      extend(this._filters, filters);
+    } else {
+      this._filters = filters;
+    }
+    return this.filters();
+  }
+
+  /**
+   * Applies a filter on a value.
+   *
+   * @param  mixed  name    The filter name or a filter function.
+   * @param  mixed  value   The value to filter.
+   * @param  Object options The filter options.
+   * @return mixed          The filtered value (or a promise resolving to it).
+   */
+  static apply(name, value, options) {
+    var filter = typeof name === 'function' ? name : this.get(name);
+    return filter(value, options || {});
+  }
+
+  /**
+   * Deeply clones plain objects and arrays, other values are returned as is.
+   *
+   * @param  mixed data The data to clone.
+   * @return mixed      The cloned data.
+   */
+  static clone(data) {
+    if (Array.isArray(data)) {
+      return data.map(function(value) {
+        return this.clone(value);
+      }, this);
+    }
+    if (data === null || typeof data !== 'object') {
+      return data;
+    }
+    var proto = Object.getPrototypeOf(data);
+    if (proto !== Object.prototype && proto !== null) {
+      return data;
+    }
+    var result = {};
+    for (var key in data) {
+      result[key] = this.clone(data[key]);
+    }
+    return result;
+  }
+
+  /**
+   * Deeply compares plain objects and arrays, other values are compared by identity (dates by time).
+   *
+   * @param  mixed   a The first value.
+   * @param  mixed   b The second value.
+   * @return Boolean
+   */
+  static equals(a, b) {
+    if (a === b) {
+      return true;
+    }
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+    var keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+      return false;
+    }
+    return keys.every(function(key) {
+      return b.hasOwnProperty(key) && this.equals(a[key], b[key]);
+    }, this);
+  }
+
+  /**
+   * Resets or removes all defined filters.
+   *
+   * @param Boolean totaly If `true` filters will be completly deleted and not reseted.
+   */
+  static reset(totaly)
+  {
+    this._filters = {};
+
+    if (totaly === true) {
+      return;
+    }
+
+    this.set({
+      lowercase: function(value, options) {
+        return typeof value === 'string' ? value.toLowerCase() : value;
+      },
+      normalize: function(value, options) {
+        return typeof value === 'string' ? value.normalize(options.form || 'NFC') : value;
+      },
+      stripTags: function(value, options) {
+        return typeof value === 'string' ? value.replace(/<\/?[a-zA-Z!][^>]*>/g, '') : value;
+      },
+      toBoolean: function(value, options) {
+        var v = typeof value === 'string' ? value.toLowerCase() : value;
+        if (Sanitizer._booleans.true.indexOf(v) !== -1) {
+          return true;
+        }
+        if (Sanitizer._booleans.false.indexOf(v) !== -1) {
+          return false;
+        }
+        return value;
+      },
+      toDate: function(value, options) {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          return value;
+        }
+        var date = new Date(value);
+        return Number.isNaN(date.getTime()) ? value : date;
+      },
+      toFloat: function(value, options) {
+        var number = toNumber(value);
+        return number === undefined ? value : number;
+      },
+      toInt: function(value, options) {
+        var number = toNumber(value);
+        return Number.isInteger(number) ? number : value;
+      },
+      trim: function(value, options) {
+        return typeof value === 'string' ? value.trim() : value;
+      }
+    });
+  }
+}
+
+/**
+ * Global filters.
+ *
+ * @var Object
+ */
+Sanitizer._filters = {};
+
+/**
+ * The values which look like a boolean value (see the `accepted` rule and the `toBoolean` filter).
+ *
+ * @var Object
+ */
+Sanitizer._booleans = {
+  true: [true, 1, '1', 'true', 'yes', 'on'],
+  false: [false, 0, '0', 'false', 'no', 'off', '']
+};
+
+Sanitizer.reset();
+
+module.exports = Sanitizer;
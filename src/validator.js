@@ -1,8 +1,114 @@
-var co = require('co');
 var extend = require('extend-merge').extend;
 var merge = require('extend-merge').merge;
 var insert = require('string-placeholder');
 var Checker = require('./checker');
+var Sanitizer = require('./sanitizer');
+var Path = require('./path');
+var Runner = require('./runner');
+
+/**
+ * The value resolved by the handlers which exceeded their `'timeout'`.
+ */
+var TIMEOUT = {};
+
+/**
+ * Returns the Levenshtein distance between two strings.
+ *
+ * @param  String a The first string.
+ * @param  String b The second string.
+ * @return Number
+ */
+function distance(a, b) {
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) {
+    previous[j] = j;
+  }
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i];
+    for (var j = 1; j <= b.length; j++) {
+      var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns a ` did you mean ...?` hint for a misspelled name.
+ *
+ * @param  String name  The misspelled name.
+ * @param  Array  names The valid names.
+ * @return String       The hint or an empty string when no name is close enough.
+ */
+function suggest(name, names) {
+  var best, min = 3;
+  for (var candidate of names) {
+    var d = distance(name.toLowerCase(), candidate.toLowerCase());
+    if (d < min) {
+      best = candidate;
+      min = d;
+    }
+  }
+  return best ? ", did you mean `" + best + "`?" : '.';
+}
+
+/**
+ * Checks if two paths overlap, i.e. if one of them is a (possibly wildcarded) prefix of the other.
+ *
+ * @param  String  a The first path (e.g. `'people.*.email'`).
+ * @param  String  b The second path (e.g. `'people.0'`).
+ * @return Boolean
+ */
+function overlaps(a, b) {
+  var x = a.split('.');
+  var y = b.split('.');
+  var length = Math.min(x.length, y.length);
+  for (var i = 0; i < length; i++) {
+    if (x[i] !== y[i] && x[i] !== '*' && y[i] !== '*') {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Throws an `AbortError` if a validation has been aborted.
+ *
+ * @param Object signal An optional `AbortSignal`.
+ */
+function abort(signal) {
+  if (signal && signal.aborted) {
+    var error = new Error("The validation has been aborted.");
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Checks if a value matches a declared option type (e.g. `'string|regexp'`).
+ *
+ * @param  mixed   value The value to check.
+ * @param  String  type  The declared type.
+ * @return Boolean
+ */
+function matches(value, type) {
+  return type.split('|').some(function(type) {
+    switch (type) {
+      case 'any':
+        return true;
+      case 'array':
+        return Array.isArray(value);
+      case 'date':
+        return value instanceof Date;
+      case 'regexp':
+        return value instanceof RegExp;
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === type;
+  });
+}
 
 /**
  * The `Validator` class provides the necessary logic to perform some validation on data.
@@ -39,13 +145,21 @@ class Validator {
    * Constructor
    *
    * @param Object config The config array. Possible values are:
-   *                      - `'handlers'` _Object_   : Some custom handlers.
-   *                      - `'error'`    _Function_ : The error message handler.
+   *                      - `'checker'`   _Checker_  : The checker registry to bind the validator to
+   *                                                   (defaults to the `checker` class dependency).
+   *                      - `'classes'`   _Object_   : Some class dependencies overriding the ones of
+   *                                                   `Validator.classes()`.
+   *                      - `'handlers'`  _Object_   : Some custom handlers.
+   *                      - `'error'`     _Function_ : The error message handler.
+   *                      - `'errorMode'` _String_   : The logged errors format, `'message'` to log
+   *                                                   error messages or `'object'` to log error objects
+   *                                                   (defaults to `'message'`).
    */
   constructor(config) {
     var defaults = {
       meta: {},
       handlers: {},
+      errorMode: 'message',
       error: function(name, options, meta) {
         return insert(options.message ? options.message : this.message(name), options);
       }.bind(this)
@@ -53,6 +167,24 @@ class Validator {
 
     config = merge({}, defaults, config);
 
+    /**
+     * The class dependencies.
+     *
+     * @var Object
+     */
+    this._classes = extend({}, this.constructor.classes(), config.classes);
+
+    if (config.checker) {
+      this._classes.checker = config.checker;
+    }
+
+    /**
+     * Indicates whether the validator owns a dedicated checker registry for its plugins.
+     *
+     * @var Boolean
+     */
+    this._scoped = false;
+
     /**
      * Some optionnal meta data.
      *
@@ -74,6 +206,13 @@ class Validator {
      */
     this._rules = {};
 
+    /**
+     * The filters to apply before validation.
+     *
+     * @var Object
+     */
+    this._filters = {};
+
     /**
      * The logged errors.
      *
@@ -81,6 +220,13 @@ class Validator {
      */
     this._errors = {};
 
+    /**
+     * The filtered data of the last `validates()` call.
+     *
+     * @var mixed
+     */
+    this._data = undefined;
+
     /**
      * The error messages.
      *
@@ -95,6 +241,13 @@ class Validator {
      */
     this._error = null;
 
+    /**
+     * The logged errors format (i.e. `'message'` or `'object'`).
+     *
+     * @var String
+     */
+    this._errorMode = config.errorMode;
+
     this.set(config.handlers);
     this.error(config.error);
     this.meta(config.meta);
@@ -187,7 +340,7 @@ class Validator {
    * @param String name A validation handler name.
    */
   has(name) {
-    var checker = this.constructor.classes().checker;
+    var checker = this._classes.checker;
     return this._handlers[name] !== undefined || checker.has(name);
   }
 
@@ -200,7 +353,7 @@ class Validator {
     if (this._handlers[name]) {
        return this._handlers[name];
     }
-    var checker = this.constructor.classes().checker;
+    var checker = this._classes.checker;
     if (checker.has(name)) {
        return checker.get(name);
     }
@@ -216,7 +369,7 @@ class Validator {
    */
   handlers(handlers, append) {
     if (!arguments.length) {
-      var checker = this.constructor.classes().checker;
+      var checker = this._classes.checker;
       return extend({}, checker.handlers(), this._handlers);
     }
     append = append === undefined ? true : append;
@@ -231,8 +384,11 @@ class Validator {
   /**
    * Sets rule(s).
    *
-   * @param mixed name  A fieldname.
-   * @param mixed rules The validations rules. Rules can be a string, an object or an array of them.
+   * The rules are checked against the declared options of their handlers (see `Checker#options()`).
+   *
+   * @param  mixed name  A fieldname.
+   * @param  mixed rules The validations rules. Rules can be a string, an object or an array of them.
+   * @throws Error       If a rule is unknown or misconfigured.
    */
   rule(field, rules) {
     var defaults = {
@@ -242,34 +398,310 @@ class Validator {
       skipEmpty: false,
       format: 'any',
       not: false,
-      on: null
+      on: null,
+      when: null
     };
 
-    if (Array.isArray(rules)) {
-      for (var rule of rules) {
-        this.rule(field, rule);
+    rules = this.constructor.normalize(rules, this.parse.bind(this));
+
+    for (var name in rules) {
+      this._assert(name, rules[name]);
+    }
+
+    for (var name in rules) {
+      if (this._rules[field] === undefined) {
+        this._rules[field] = {};
       }
+      this._rules[field][name] = extend({}, defaults, rules[name]);
+    }
+  }
+
+  /**
+   * Checks a rule definition against the declared options of its handler (see `Checker#options()`).
+   *
+   * @param  String name    The rule name.
+   * @param  Object options The rule options.
+   * @throws Error          If the rule is unknown or misconfigured.
+   */
+  _assert(name, options) {
+    var handler = name.substring(0, 4) === 'not:' ? name.substring(4) : name;
+    var composite = this.constructor._composites[handler] !== undefined;
+    var declaration;
+
+    if (composite) {
+      declaration = { rules: 'array' };
+    } else if (handler === 'schema') {
+      declaration = { validator: 'object' };
+    } else if (!this.has(handler)) {
+      var names = Object.keys(this.handlers()).concat(Object.keys(this.constructor._composites), ['schema']);
+      throw new Error("Unexisting `" + handler + "` as validation handler" + suggest(handler, names));
+    } else if (this._handlers[handler] === undefined) {
+      declaration = this._classes.checker.options(handler);
+    }
+    if (!declaration) {
       return;
     }
 
-    var name;
+    var reserved = this.constructor._reserved.concat(['check']);
+    var accepted = Object.keys(declaration);
+    for (var key in options) {
+      if (reserved.indexOf(key) === -1 && accepted.indexOf(key) === -1) {
+        throw new Error("Unexpected `" + key + "` option for `" + name + "` rule" + suggest(key, accepted));
+      }
+    }
+    for (var key of accepted) {
+      var type = declaration[key];
+      var optional = type.substring(type.length - 1) === '?';
+      type = optional ? type.substring(0, type.length - 1) : type;
+      if (options[key] === undefined) {
+        if (!optional) {
+          throw new Error("Missing `" + key + "` option for `" + name + "` rule.");
+        }
+        continue;
+      }
+      if (!matches(options[key], type)) {
+        throw new Error("Invalid `" + key + "` option for `" + name + "` rule, expected `" + type + "`.");
+      }
+    }
+    if (composite) {
+      for (var branch of options.rules) {
+        var rules = this.constructor.normalize(branch, this.parse.bind(this));
+        for (var rule in rules) {
+          if (rule === 'schema' || rule === 'not:schema') {
+            throw new Error("Unsupported `" + rule + "` rule in `" + name + "` branches, nested validators can't be combined.");
+          }
+          this._assert(rule, rules[rule]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Parses a pipe-string rules definition into its object form.
+   *
+   * Rules are separated by `|` and their positional arguments, separated by `,`, are mapped onto
+   * the option names declared by the handler signature (see `Checker#signature()`). Numeric
+   * arguments of the options declared as numbers (see `Checker#options()`) are casted into numbers.
+   * For example:
+   * {{{
+   * validator.parse('required|not:empty|lengthBetween:3,20|inList:a,b,c');
+   * // {
+   * //   required: {},
+   * //   'not:empty': {},
+   * //   lengthBetween: { min: 3, max: 20 },
+   * //   inList: { list: ['a', 'b', 'c'] }
+   * // }
+   * }}}
+   *
+   * Note: when a signature has a single option name, the whole argument string is used as value so
+   * it may contain commas (e.g. `'pattern:^[a-z]{2,5}$'`).
+   *
+   * @param  String rules The pipe-string rules definition.
+   * @return Object       The rules options indexed by rule names.
+   */
+  parse(rules) {
+    var result = {};
+
+    for (var token of rules.split('|')) {
+      if (!token) {
+        continue;
+      }
+      var parts = token.split(':');
+      var offset = parts[0] === 'not' ? 1 : 0;
+      var length = parts.length;
+
+      while (length > offset && !this.has(parts.slice(offset, length).join(':'))) {
+        length--;
+      }
+      if (length === offset) {
+        result[token] = {};
+        continue;
+      }
+      var name = parts.slice(0, length).join(':');
+      var args = parts.slice(length).join(':');
+      result[name] = length < parts.length ? this._arguments(parts.slice(offset, length).join(':'), args) : {};
+    }
+    return result;
+  }
+
+  /**
+   * Maps some positional arguments onto the option names of a handler signature.
+   *
+   * @param  String name The validation handler name.
+   * @param  String args The arguments string.
+   * @return Object      The rule options.
+   */
+  _arguments(name, args) {
+    var checker = this._classes.checker;
+    var local = this._handlers[name] !== undefined;
+    var signature = (!local && checker.signature(name)) || [];
+    var declaration = (!local && checker.options(name)) || {};
+    var caster = function(option) {
+      var type = (declaration[option] || '').replace(/\?$/, '');
+      return function(value) {
+        return type.split('|').indexOf('number') !== -1 && /^[-+]?[0-9]+(\.[0-9]+)?$/.test(value) ? Number(value) : value;
+      };
+    };
+    var values = signature.length === 1 && signature[0].substring(0, 3) !== '...' ? [args] : args.split(',');
+    var options = {};
+
+    if (!signature.length) {
+      throw new Error("Unexpected arguments for `" + name + "` rule.");
+    }
+    if (values.length > signature.length && signature.join('').indexOf('...') === -1) {
+      throw new Error("Too many arguments for `" + name + "` rule, expected `" + signature.join('`, `') + "`.");
+    }
+    for (var i = 0; i < signature.length && i < values.length; i++) {
+      if (signature[i].substring(0, 3) === '...') {
+        options[signature[i].substring(3)] = values.slice(i).map(caster(signature[i].substring(3)));
+        break;
+      }
+      options[signature[i]] = caster(signature[i])(values[i]);
+    }
+    return options;
+  }
+
+  /**
+   * Normalizes some rules definitions into an object of options indexed by rule names.
+   *
+   * For example:
+   * {{{
+   * Validator.normalize(['not:empty', { lengthMin: { length: 3 }, email: 'invalid email' }]);
+   * // { 'not:empty': {}, lengthMin: { length: 3 }, email: { message: 'invalid email' } }
+   * }}}
+   *
+   * @param  mixed    rules  The rules definitions. Rules can be a string, an object or an array of them.
+   * @param  Function parser An optional parser for string rules definitions (e.g. `Validator#parse()`).
+   * @return Object          The rules options indexed by rule names.
+   */
+  static normalize(rules, parser) {
+    var result = {};
+
+    if (Array.isArray(rules)) {
+      for (var rule of rules) {
+        extend(result, this.normalize(rule, parser));
+      }
+      return result;
+    }
 
     if (typeof rules === 'string') {
-      name = rules;
-      rules = {};
-      rules[name] = {};
+      if (parser) {
+        return parser(rules);
+      }
+      result[rules] = {};
+      return result;
     }
 
-    for (name in rules) {
+    for (var name in rules) {
       var options = rules[name];
-      if (typeof options === 'string') {
-        options = { message: options };
+      result[name] = typeof options === 'string' ? { message: options } : extend({}, options);
+    }
+    return result;
+  }
+
+  /**
+   * Sets filter(s) to apply on a field before validation.
+   *
+   * For example:
+   * {{{
+   * validator.filter('email', ['trim', 'lowercase']);
+   * validator.filter('title', { normalize: { form: 'NFKC' } });
+   * validator.filter('tags.*', function(value, options) {
+   *   return typeof value === 'string' ? value.replace(/\s+/g, '-') : value;
+   * });
+   * }}}
+   *
+   * Filters are applied in their definition order.
+   *
+   * @see   Sanitizer class for all built-in filters
+   * @param String field   A fieldname (can be a dotted path with `*`).
+   * @param mixed  filters The filters. Filters can be a string, a function, an object of options indexed
+   *                       by filter names or an array of them.
+   */
+  filter(field, filters) {
+    if (Array.isArray(filters)) {
+      for (var filter of filters) {
+        this.filter(field, filter);
       }
-      if (this._rules[field] === undefined) {
-        this._rules[field] = {};
+      return;
+    }
+    if (this._filters[field] === undefined) {
+      this._filters[field] = [];
+    }
+    if (typeof filters === 'string' || typeof filters === 'function') {
+      this._filters[field].push({ name: filters, options: {} });
+      return;
+    }
+    for (var name in filters) {
+      this._filters[field].push({ name: name, options: extend({}, filters[name]) });
+    }
+  }
+
+  /**
+   * Returns the defined filters.
+   *
+   * @return Object The filters indexed by field name (e.g. `{ email: [{ name: 'trim', options: {} }] }`).
+   */
+  filters() {
+    return extend({}, this._filters);
+  }
+
+  /**
+   * Applies the defined filters on some data.
+   *
+   * The data are not modified, plain objects and arrays are cloned before applying filters.
+   *
+   * @param  Object  data The data to filter.
+   * @return Promise      Returns a promise resolving to the filtered data.
+   */
+  sanitize(data) {
+    return Runner.async(this._sanitize(data));
+  }
+
+  /**
+   * Applies synchronously the defined filters on some data.
+   *
+   * @see    Validator#sanitize()
+   * @param  Object data The data to filter.
+   * @return mixed       The filtered data.
+   * @throws Error       If an asynchronous filter is met.
+   */
+  sanitizeSync(data) {
+    return Runner.sync(this._sanitize(data));
+  }
+
+  /**
+   * The `sanitize()` generator.
+   *
+   * @see Validator#sanitize()
+   */
+  *_sanitize(data) {
+    if (!Object.keys(this._filters).length) {
+      return data;
+    }
+    var sanitizer = this._classes.sanitizer;
+    data = sanitizer.clone(data);
+
+    for (var field in this._filters) {
+      var values = this.constructor.values(data, field.split('.'));
+      for (var key in values) {
+        var value = values[key];
+        for (var filter of this._filters[field]) {
+          value = yield sanitizer.apply(filter.name, value, filter.options);
+        }
+        Path.set(data, key, value);
       }
-      this._rules[field][name] = extend({}, defaults, options);
     }
+    return data;
+  }
+
+  /**
+   * Returns the defined rules.
+   *
+   * @return Object The rules indexed by field name (e.g. `{ title: { 'not:empty': {...} } }`).
+   */
+  rules() {
+    return extend({}, this._rules);
   }
 
   /**
@@ -303,7 +735,30 @@ class Validator {
    *                              ['not:empty', 'message' => 'You must include credit card number'],
    *                              ['creditCard', 'message' => 'Your credit card number must be valid']
    *                         ]];`
-   * @param Object options Validator-specific options.
+   * @param Object options Validator-specific options:
+   *                       - `'events'` _mixed_: The event name or the list of event names to validate
+   *                         (see the `'on'` rule option).
+   *                       - `'bail'` _boolean_: If `true`, the remaining rules of a value are skipped after its
+   *                         first failure (defaults to `false`).
+   *                       - `'abortEarly'` _boolean_: If `true`, the validation stops on the first failure
+   *                         (defaults to `false`).
+   *                       - `'strict'` _mixed_: If `true`, the values which don't have any rule are reported
+   *                         as `'unknown'` errors. If `'strip'`, they are removed from the returned data
+   *                         instead (defaults to `false`).
+   *                       - `'concurrency'` _integer_: The maximum number of fields validated at the same time
+   *                         (defaults to `1`, ignored by synchronous validations).
+   *                       - `'timeout'` _integer_: The time limit in milliseconds of each rule, see the
+   *                         `'timeout'` rule setting below.
+   *                       - `'signal'` _AbortSignal_: Once aborted, no further rule is checked and the
+   *                         returned promise is rejected with an `AbortError`. The signal is available to
+   *                         handlers through `options.signal`.
+   *                       - `'partial'` _boolean_: If `true`, the rules of the absent fields are skipped
+   *                         (e.g. to validate the payload of a PATCH request) except the implicit ones
+   *                         (e.g. `requiredIf`) which are checked against the merged document. Defaults
+   *                         to `false`.
+   *                       - `'current'` _Object_: The current document the data are merged into. The `'when'`
+   *                         conditions and the cross-field rules (e.g. `equalTo`) are evaluated against the
+   *                         merged document.
    *                       Each rule defined as an array can contain any of the following settings
    *                       (in addition to the first value, which represents the rule to be used):
    *                       - `'message'` _string_: The error message to be returned if the validation
@@ -317,89 +772,726 @@ class Validator {
    *                       - `'skipEmpty'` _boolean_: This setting (if `true`) will cause the validation rule
    *                         to be skipped if the corresponding value is empty (an empty string or `null`).
    *                         Defaults to `false`.
-   *                       - `'format'` _string_: If the validation rule has multiple format definitions
-   *                         (see the `add()` or `init()` methods), the name of the format to be used
-   *                         can be specified here. Additionally, two special values can be used:
+   *                       - `'format'` _mixed_: If the validation rule has multiple format definitions
+   *                         (see the `set()` method), the name of the format to be used (or a list of
+   *                         them) can be specified here. Additionally, two special values can be used:
    *                         either `'any'`, which means that all formats will be checked and the rule
    *                         will pass if any format passes, or `'all'`, which requires all formats to
    *                         pass in order for the rule check to succeed.
-   * @return Promise         Returns a promise.
+   *                       - `'bail'` _boolean_: If `true` on any rule of a field, the remaining rules of each
+   *                         field value are skipped after its first failure. Defaults to `false`.
+   *                       - `'validator'` _Validator_: The validator of the `schema` rule. The `schema` rule
+   *                         validates a value (e.g. an object or each item of a `*` path) using another
+   *                         validator, its errors are merged under the value path (e.g. `'items.2.sku'`).
+   *                       - `'when'` _mixed_: A condition the data must satisfy for the rule to be checked
+   *                         (see `Validator.when()`). Defaults to `null`.
+   *                       - `'code'` _string_: The machine code of the error used when errors are
+   *                         logged as objects (defaults to the rule name).
+   *                       - `'timeout'` _integer_: If set, the rule fails with a `'timeout'` error when its
+   *                         asynchronous handler doesn't complete within this number of milliseconds.
+   * @return Promise         Returns a promise resolving to an immutable result object with the
+   *                         following keys:
+   *                         - `'valid'`  _Boolean_: `true` if the data are valid, `false` otherwise.
+   *                         - `'errors'` _Object_ : The occured errors indexed by value path.
+   *                         - `'data'`   _mixed_  : The checked data (i.e. the filtered data when some
+   *                                                 filters are defined, see `filter()`).
    */
-  validates(data, options) {
-    return co(function* () {
-      options = options || {};
-      var events = options.events ? (Array.isArray(options.events) ? options.events : [options.events]) : [];
+  validate(data, options) {
+    return Runner.async(this._validate(data, options, false));
+  }
 
-      this._errors = {};
-      var error = this._error;
+  /**
+   * Validates synchronously a set of values against the defined rules.
+   *
+   * @see    Validator#validate()
+   * @param  Object data    The data to validate.
+   * @param  Object options Validator-specific options.
+   * @return Object         An immutable result object (see `validate()`).
+   * @throws Error          If an asynchronous handler or filter is met.
+   */
+  validateSync(data, options) {
+    return Runner.sync(this._validate(data, options, true));
+  }
 
-      var success = true;
+  /**
+   * The `validate()` generator.
+   *
+   * @see    Validator#validate()
+   * @param  Boolean sync Whether the checker must be called synchronously or not.
+   */
+  *_validate(data, options, sync) {
+    return yield* this._execute(this._plan(options), data, sync);
+  }
 
-      for (var field in this._rules) {
-        var rules = this._rules[field];
-        var values = this.constructor.values(data, field.split('.'));
+  /**
+   * Compiles the defined rules into a validation function.
+   *
+   * The execution plan (i.e. the split field paths, the resolved handlers and the merged rule options)
+   * is computed once so the returned function is faster than `validate()` when validating a lot of data
+   * using the same options. For example:
+   * {{{
+   * var validate = validator.compile({ events: 'create' });
+   *
+   * validate(data).then(function(result) { ... }); // same as `validator.validate(data, { events: 'create' })`
+   * validate.sync(data);                           // same as `validator.validateSync(data, { events: 'create' })`
+   * }}}
+   *
+   * Note: the rules, handlers and options are captured at compile time (at first use for nested
+   * validators), so the validator must be compiled again to take into account further changes.
+   *
+   * @see    Validator#validate()
+   * @param  Object   options Validator-specific options (see `validate()`).
+   * @return Function         The validation function, taking the data to validate as parameter and
+   *                          returning a promise resolving to an immutable result object. A synchronous
+   *                          version is available as its `sync` property.
+   */
+  compile(options) {
+    var plan = this._plan(options);
+    var validate = function(data) {
+      return Runner.async(this._execute(plan, data, false));
+    }.bind(this);
+    validate.sync = function(data) {
+      return Runner.sync(this._execute(plan, data, true));
+    }.bind(this);
+    return validate;
+  }
 
-        for (var name in rules) {
-          var rule = rules[name];
+  /**
+   * Builds the execution plan of the defined rules for some validation options.
+   *
+   * @param  Object options Validator-specific options (see `validate()`).
+   * @return Object         The execution plan.
+   */
+  _plan(options) {
+    options = options || {};
+    var events = options.events ? (Array.isArray(options.events) ? options.events : [options.events]) : [];
+    var checker = this._classes.checker;
+    var plan = {
+      options: options,
+      checker: typeof checker === 'function' ? checker.instance() : checker,
+      fields: Object.keys(this._rules),
+      steps: []
+    };
 
-          rule = extend({}, options, rule);
-          rule.field = field;
+    for (var field in this._rules) {
+      var rules = this._rules[field];
+      var path = field.split('.');
+      var step = {
+        field: field,
+        path: path,
+        wildcard: path.indexOf('*') !== -1,
+        bail: !!options.bail || Object.keys(rules).some(function(name) {
+          return rules[name].bail;
+        }),
+        rules: []
+      };
 
-          if (events.length && rule.on) {
-            var on = Array.isArray(rule.on) ? rule.on : [rule.on];
-            var intersect = events.filter(function(n) {
-                return on.indexOf(n) !== -1
-            });
-            if (!intersect.length) {
-              continue;
-            }
+      for (var name in rules) {
+        var rule = extend({}, options, rules[name]);
+        rule.field = field;
+
+        if (events.length && rule.on) {
+          var on = Array.isArray(rule.on) ? rule.on : [rule.on];
+          var intersect = events.filter(function(n) {
+              return on.indexOf(n) !== -1
+          });
+          if (!intersect.length) {
+            continue;
           }
+        }
+        var not = name.substring(0, 4) === 'not:';
+        var handler = not ? name.substring(4) : name;
+        var composite = this.constructor._composites[handler] !== undefined;
+
+        step.rules.push({
+          name: name,
+          handler: handler,
+          options: rule,
+          not: not,
+          implicit: this.implicit(name),
+          composite: composite ? handler : null,
+          handlers: composite || name === 'schema' ? null : this.get(handler),
+          schema: name === 'schema',
+          plan: null
+        });
+      }
+      plan.steps.push(step);
+    }
+    return plan;
+  }
+
+  /**
+   * Executes an execution plan against some data.
+   *
+   * The fields are validated one after the other unless the `'concurrency'` option is greater than `1`
+   * (asynchronous validations only), in which case up to `concurrency` fields are validated at the
+   * same time. The errors are merged in the order of the rules definitions in both cases.
+   *
+   * @param  Object  plan    The execution plan (see `_plan()`).
+   * @param  mixed   data    The data to validate.
+   * @param  Boolean sync    Whether the checker must be called synchronously or not.
+   * @param  mixed   current The current document `data` is merged into (defaults to the `'current'` option).
+   * @return Object          An immutable result object (see `validate()`).
+   */
+  *_execute(plan, data, sync, current) {
+    var options = plan.options;
+    var state = { input: data, data: null, document: null, current: current !== undefined ? current : options.current };
+    abort(options.signal);
+    state.data = yield* this._sanitize(data);
+    state.document = state.current != null ? merge({}, state.current, state.data) : state.data;
+
+    var errors = {};
+    var success = true;
+    var results = [];
+    var concurrency = options.concurrency || 1;
+
+    if (!sync && concurrency > 1) {
+      results = yield Runner.pool(plan.steps.map(function(step) {
+        return function() {
+          return Runner.async(this._step(plan, step, state, false));
+        }.bind(this);
+      }, this), concurrency, function(result) {
+        return result.aborted;
+      });
+    }
+
+    for (var index = 0; index < plan.steps.length; index++) {
+      var result = !sync && concurrency > 1 ? results[index] : yield* this._step(plan, plan.steps[index], state, sync);
+      if (!result) {
+        break;
+      }
+      for (var key in result.errors) {
+        errors[key] = (errors[key] || []).concat(result.errors[key]);
+      }
+      success = success && result.success;
+      if (result.aborted) {
+        return this.constructor.result(success, errors, state.data);
+      }
+    }
+
+    data = state.data;
+    if (options.strict) {
+      var unknowns = this.constructor.unknowns(data, plan.fields);
+      if (options.strict === 'strip') {
+        data = this._classes.sanitizer.clone(data);
+        unknowns.reverse();
+      }
+      for (var path of unknowns) {
+        if (options.strict === 'strip') {
+          Path.remove(data, path);
+          continue;
+        }
+        var rule = extend({}, options, { field: path, data: data });
+        errors[path] = [this._failure(path, 'unknown', 'unknown', rule, Path.get(data, path), {})];
+        success = false;
+      }
+    }
+    return this.constructor.result(success, errors, data);
+  }
 
-          if (!Object.keys(values).length && rule.required) {
-            rule.message = undefined;
-            if (this._errors[field] === undefined) {
-              this._errors[field] = [];
+  /**
+   * Validates a field of an execution plan.
+   *
+   * @param  Object  plan  The execution plan (see `_plan()`).
+   * @param  Object  step  The field step of the plan.
+   * @param  Object  state The shared validation state (i.e. `{ input, data }`).
+   * @param  Boolean sync  Whether the checker must be called synchronously or not.
+   * @return Object        The field result as `{ success, errors, aborted }`.
+   */
+  *_step(plan, step, state, sync) {
+    var options = plan.options;
+    var checker = plan.checker;
+    var field = step.field;
+    var extracted = this.constructor.values(state.data, step.path);
+    var present = Object.keys(extracted).length;
+    var missing = step.wildcard && options.partial ? this.constructor.missing(state.data, step.path) : [];
+    var source = options.partial ? state.document : state.data;
+    var implicit = source === state.data ? extend({}, extracted) : this.constructor.values(source, step.path);
+    var holes = step.wildcard ? this.constructor.missing(source, step.path) : [];
+    var reported = false;
+    var failed = {};
+    var errors = {};
+    var success = true;
+
+    if (!step.wildcard && !Object.keys(implicit).length) {
+      holes.push(field);
+    }
+    for (var hole of holes) {
+      implicit[hole] = undefined;
+    }
+
+    for (var entry of step.rules) {
+      var name = entry.name;
+      var rule = extend({}, entry.options);
+      var values = extracted;
+
+      if (rule.when && !this.constructor.when(rule.when, state.document, rule)) {
+        continue;
+      }
+
+      if (entry.implicit) {
+        values = implicit;
+      } else if (missing.length && rule.required) {
+        if (!reported) {
+          reported = true;
+          for (var path of missing) {
+            if (step.filter && !step.filter(path)) {
+              continue;
             }
-            this._errors[field].push(error('required', rule, this._meta));
+            errors[path] = errors[path] || [];
+            errors[path].push(this._failure(path, name, 'required', extend({}, rule, { message: undefined }), undefined, {}));
             success = false;
-            break;
+            failed[path] = true;
+          }
+          if (!success && options.abortEarly) {
+            return { success: false, errors: errors, aborted: true };
           }
+        }
+      } else if (!present && options.partial) {
+        continue;
+      } else if (!present && rule.required) {
+        rule.message = undefined;
+        errors[field] = errors[field] || [];
+        errors[field].push(this._failure(field, name, 'required', rule, undefined, {}));
+        return { success: false, errors: errors, aborted: !!options.abortEarly };
+      }
 
-          for (var key in values) {
-            var params = {};
-            var value = values[key];
+      for (var key in values) {
+        var params = {};
+        var value = values[key];
 
-            if (value === null && (rule.skipNull || rule.skipEmpty)) {
-              continue;
+        if (step.filter && !step.filter(key)) {
+          continue;
+        }
+        if (step.bail && failed[key]) {
+          continue;
+        }
+        if (value === null && (rule.skipNull || rule.skipEmpty)) {
+          continue;
+        }
+        if (value === '' && rule.skipEmpty) {
+          continue;
+        }
+        abort(options.signal);
+        rule.data = state.document;
+        rule.path = key;
+        var ok;
+        var error = name;
+        var nesting = entry.schema && value !== null && typeof value === 'object';
+        if (entry.schema && !nesting) {
+          ok = false;
+        } else if (entry.schema) {
+          if (!entry.plan) {
+            var scoped = extend({}, options);
+            delete scoped.current;
+            entry.plan = rule.validator._plan(scoped);
+          }
+          var nested = yield* rule.validator._execute(entry.plan, value, sync, state.current != null ? Path.get(state.current, key) : undefined);
+          for (var nestedPath in nested.errors) {
+            var nestedKey = key + '.' + nestedPath;
+            errors[nestedKey] = errors[nestedKey] || [];
+            for (var item of nested.errors[nestedPath]) {
+              errors[nestedKey].push(item && typeof item === 'object' ? extend({}, item, { path: nestedKey }) : item);
             }
-            if (value === '' && rule.skipEmpty) {
-              continue;
+          }
+          if (nested.data !== value) {
+            state.data = state.data === state.input ? this._classes.sanitizer.clone(state.data) : state.data;
+            Path.set(state.data, key, nested.data);
+          }
+          ok = nested.valid;
+        } else {
+          var iterator;
+          if (entry.composite) {
+            iterator = this._composite(entry.composite, value, rule, params, sync);
+          } else {
+            iterator = checker._check(value, entry.handlers, rule, params);
+          }
+          if (!sync && (rule.timeout || options.signal)) {
+            var pending = Runner.async(iterator);
+            if (rule.timeout) {
+              pending = Runner.timeout(pending, rule.timeout, TIMEOUT);
             }
-            rule.data = data;
-            var ok = yield this.is(name, value, rule, params);
-            if (!ok) {
-              if (this._errors[key] === undefined) {
-                this._errors[key] = [];
-              }
-              this._errors[key].push(error(name, extend({}, rule, params), this._meta));
-              success = false;
+            if (options.signal) {
+              pending = Runner.abortable(pending, options.signal, null);
             }
+            ok = yield pending;
+            abort(options.signal);
+            if (ok === TIMEOUT) {
+              error = 'timeout';
+              params.timeout = rule.timeout;
+            }
+          } else {
+            ok = yield* iterator;
           }
+          ok = error === 'timeout' ? false : ok !== entry.not;
+        }
+        if (!ok) {
+          if (!nesting) {
+            errors[key] = errors[key] || [];
+            errors[key].push(this._failure(key, name, error, rule, value, params));
+          }
+          success = false;
+          failed[key] = true;
+          if (options.abortEarly) {
+            return { success: false, errors: errors, aborted: true };
+          }
+        }
+      }
+    }
+    return { success: success, errors: errors, aborted: false };
+  }
+
+  /**
+   * Validates a set of values against the defined rules and logs the occured errors as well as the
+   * filtered data (see `errors()` and `data()`).
+   *
+   * Note: since the errors are logged on the instance, `validate()` should be preferred when the
+   * same validator instance is used by concurrent validations.
+   *
+   * @see    Validator.validate()
+   * @param  Object  data    The data to validate.
+   * @param  Object  options Validator-specific options.
+   * @return Promise         Returns a promise resolving to `true` if valid, `false` otherwise.
+   */
+  validates(data, options) {
+    return this.validate(data, options).then(function(result) {
+      this._errors = extend({}, result.errors);
+      this._data = result.data;
+      return result.valid;
+    }.bind(this));
+  }
+
+  /**
+   * Validates synchronously a set of values against the defined rules and logs the occured errors.
+   *
+   * @see    Validator#validates()
+   * @param  Object  data    The data to validate.
+   * @param  Object  options Validator-specific options.
+   * @return Boolean         Returns `true` if valid, `false` otherwise.
+   * @throws Error           If an asynchronous handler or filter is met.
+   */
+  validatesSync(data, options) {
+    var result = this.validateSync(data, options);
+    this._errors = extend({}, result.errors);
+    this._data = result.data;
+    return result.valid;
+  }
+
+  /**
+   * Validates a single field and logs its errors.
+   *
+   * Only the rules of the fields overlapping `path` are checked (e.g. `'emails.1'` checks the
+   * `'emails.*'` rules against the second email only while `'emails'` checks all of them) as well
+   * as the rules of the fields which depend on it (e.g. an `equalTo` rule with `path` as `key`).
+   * Only the errors of the checked fields are updated, the other logged errors are left untouched.
+   *
+   * @param  String  path    The path of the field to validate (e.g. `'people.0.email'`).
+   * @param  Object  data    The whole data.
+   * @param  Object  options Validator-specific options (see `validate()`).
+   * @return Promise         Returns a promise resolving to `true` if the field and its dependents
+   *                         are valid, `false` otherwise.
+   */
+  validateField(path, data, options) {
+    var plan = this._plan(extend({}, options, { strict: false }));
+    var steps = [];
+
+    for (var step of plan.steps) {
+      var dependent = step.rules.some(function(entry) {
+        return this._dependencies(entry).some(function(reference) {
+          return overlaps(reference, path);
+        });
+      }, this);
+      if (dependent) {
+        steps.push(step);
+      } else if (overlaps(step.field, path)) {
+        steps.push(extend({}, step, { filter: function(key) {
+          return overlaps(key, path);
+        } }));
+      }
+    }
+    plan = extend({}, plan, { steps: steps });
+
+    return Runner.async(this._execute(plan, data, false)).then(function(result) {
+      for (var key in this._errors) {
+        var checked = steps.some(function(step) {
+          return overlaps(key, step.field) && (!step.filter || step.filter(key));
+        });
+        if (checked) {
+          delete this._errors[key];
         }
       }
-      return success;
+      extend(this._errors, result.errors);
+      return result.valid;
     }.bind(this));
   }
 
   /**
-   * Returns the errors from the last validate call.
+   * Revalidates some data from a previous validation.
+   *
+   * Only the changed values (compared to `previous`) are checked again, as well as the rules of the fields
+   * depending on them (see `validateField()`) and the rules having a `'when'` condition. The outcomes of
+   * the other values are taken from `result`. For example:
+   * {{{
+   * var result = yield validator.validate(data);
+   * var next = extend({}, data, { title: 'new title' });
+   *
+   * result = yield validator.revalidate(data, result, next); // only checks the `title` rules
+   * }}}
+   *
+   * Note: the returned data only contain the filtered values of the checked nested validators (see the
+   * `schema` rule), the unchanged values are returned as is.
+   *
+   * @param  mixed   previous The previously validated data.
+   * @param  Object  result   The previous result (see `validate()`).
+   * @param  mixed   data     The data to validate.
+   * @param  Object  options  Validator-specific options (see `validate()`), they must be the same as
+   *                          the ones used to build `result`.
+   * @return Promise          Returns a promise resolving to an immutable result object (see `validate()`).
+   */
+  revalidate(previous, result, data, options) {
+    return Runner.async(this._revalidate(previous, result, data, options, false));
+  }
+
+  /**
+   * Revalidates synchronously some data from a previous validation.
+   *
+   * @see    Validator#revalidate()
+   * @param  mixed  previous The previously validated data.
+   * @param  Object result   The previous result (see `validate()`).
+   * @param  mixed  data     The data to validate.
+   * @param  Object options  Validator-specific options (see `validate()`).
+   * @return Object          An immutable result object (see `validate()`).
+   * @throws Error           If an asynchronous handler or filter is met.
+   */
+  revalidateSync(previous, result, data, options) {
+    return Runner.sync(this._revalidate(previous, result, data, options, true));
+  }
+
+  /**
+   * The `revalidate()` generator.
+   *
+   * @see    Validator#revalidate()
+   * @param  Boolean sync Whether the checker must be called synchronously or not.
+   */
+  *_revalidate(previous, result, data, options, sync) {
+    var plan = this._plan(options);
+    var changes = [];
+    var paths = [];
+
+    for (var step of plan.steps) {
+      var before = this.constructor.values(previous, step.path);
+      var after = this.constructor.values(data, step.path);
+      var keys = {};
+      var key;
+      for (key in after) {
+        if (!(key in before) || !this._classes.sanitizer.equals(before[key], after[key])) {
+          keys[key] = true;
+        }
+      }
+      for (key in before) {
+        if (!(key in after)) {
+          keys[key] = true;
+        }
+      }
+      var changed = Object.keys(keys);
+      paths = paths.concat(changed);
+      changes.push({
+        keys: keys,
+        changed: changed,
+        full: (!!changed.length && (!Object.keys(before).length || !Object.keys(after).length)) || step.rules.some(function(entry) {
+          return !!entry.options.when;
+        })
+      });
+    }
+
+    var steps = [];
+    plan.steps.forEach(function(step, index) {
+      var change = changes[index];
+      var dependent = step.rules.some(function(entry) {
+        return this._dependencies(entry).some(function(reference) {
+          return paths.some(function(path) {
+            return overlaps(reference, path);
+          });
+        });
+      }, this);
+      if (change.full || dependent) {
+        steps.push(step);
+      } else if (change.changed.length) {
+        steps.push(extend({}, step, { filter: function(key) {
+          return !!change.keys[key];
+        }, changed: change.changed }));
+      }
+    }, this);
+
+    var unknowns = plan.options.strict ? this.constructor.unknowns(previous, plan.fields) : [];
+    var errors = {};
+    for (var path in result.errors) {
+      var checked = unknowns.indexOf(path) !== -1 || steps.some(function(step) {
+        return overlaps(path, step.field) && (!step.filter || step.changed.some(function(key) {
+          return overlaps(path, key);
+        }));
+      });
+      if (!checked) {
+        errors[path] = result.errors[path];
+      }
+    }
+
+    var checks = yield* this._execute(extend({}, plan, { steps: steps }), data, sync);
+    for (var path in checks.errors) {
+      errors[path] = (errors[path] || []).concat(checks.errors[path]);
+    }
+    return this.constructor.result(!Object.keys(errors).length, errors, checks.data);
+  }
+
+  /**
+   * Returns the paths a rule depends on (e.g. the `key` of an `equalTo` rule), relative references
+   * are resolved against the rule field (e.g. `'$sibling.start'` gives `'items.*.start'` for `'items.*.end'`).
    *
-   * @return Object The occured errors.
+   * @param  Object entry A rule entry of an execution plan.
+   * @return Array        The referenced paths.
    */
-  errors() {
+  _dependencies(entry) {
+    var names = this.constructor._references[entry.handler] || [];
+    return names.reduce(function(references, name) {
+      return references.concat(entry.options[name] === undefined ? [] : entry.options[name]);
+    }, []).filter(function(reference) {
+      return typeof reference === 'string';
+    }).map(function(reference) {
+      return Path.resolve(reference, entry.options.field);
+    });
+  }
+
+  /**
+   * Evaluates a rule condition against some data.
+   *
+   * A condition can be a function or a declarative condition object like the following:
+   * {{{
+   * { field: 'accountType', is: 'business' }  // `accountType` must be equal to `'business'`.
+   * { field: 'country', in: ['FR', 'DE'] }     // `country` must be in the list.
+   * { field: 'country', not: 'US' }            // `country` must not be equal to `'US'` (or not in the list
+   *                                            // if an array is provided).
+   * }}}
+   * where `field` can be a dotted path. An array of conditions is satisfied when all of them are.
+   *
+   * @param  mixed   condition A function taking the data and the rule options as parameters, a condition
+   *                           object or an array of them.
+   * @param  Object  data      The data.
+   * @param  Object  options   The rule options.
+   * @return Boolean           Returns `true` if the condition is satisfied, `false` otherwise.
+   */
+  static when(condition, data, options) {
+    if (typeof condition === 'function') {
+      return !!condition(data, options);
+    }
+    if (Array.isArray(condition)) {
+      return condition.every(function(item) {
+        return this.when(item, data, options);
+      }, this);
+    }
+    var value = Path.get(data, condition.field);
+    if (condition.is !== undefined && value !== condition.is) {
+      return false;
+    }
+    if (condition.in !== undefined && condition.in.indexOf(value) === -1) {
+      return false;
+    }
+    if (condition.not !== undefined) {
+      var not = Array.isArray(condition.not) ? condition.not : [condition.not];
+      if (not.indexOf(value) !== -1) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Builds an immutable validation result.
+   *
+   * @param  Boolean valid  The validation status.
+   * @param  Object  errors The occured errors indexed by value path.
+   * @param  mixed   data   The checked data.
+   * @return Object         The frozen result object (i.e. `{ valid, errors, data }`).
+   */
+  static result(valid, errors, data) {
+    for (var key in errors) {
+      for (var error of errors[key]) {
+        if (error && typeof error === 'object') {
+          Object.freeze(error.params);
+          Object.freeze(error);
+        }
+      }
+      Object.freeze(errors[key]);
+    }
+    return Object.freeze({
+      valid: valid,
+      errors: Object.freeze(errors),
+      data: data
+    });
+  }
+
+  /**
+   * Builds the logged error of a failing rule according to the errors mode.
+   *
+   * In `'object'` mode, the error is an object with the following keys:
+   *  - `'path'`    _String_: The dotted path of the failing value (e.g. `'emails.0'`).
+   *  - `'rule'`    _String_: The name of the failing rule (e.g. `'not:empty'`).
+   *  - `'code'`    _String_: The machine code of the error (i.e. the `'code'` option, `'required'` for
+   *                          missing values or the rule name by default).
+   *  - `'message'` _String_: The error message built by the error handler.
+   *  - `'params'`  _Object_: The rule options merged with the parameters set by the handler.
+   *  - `'value'`   _mixed_ : The failing value.
+   *
+   * @param  String path    The dotted path of the failing value.
+   * @param  String rule    The rule name.
+   * @param  String name    The validation handler name to use for the error message.
+   * @param  Object options The rule options.
+   * @param  mixed  value   The failing value.
+   * @param  Object params  The parameters set by the validation handler.
+   * @return mixed          The error message or the error object.
+   */
+  _failure(path, rule, name, options, value, params) {
+    var message = this._error(name, extend({}, options, params), this._meta);
+    if (this._errorMode !== 'object') {
+      return message;
+    }
+    var code = name === 'required' || name === 'timeout' ? name : (options.code || name);
+    var values = extend({}, options);
+    for (var key of Validator._reserved) {
+      delete values[key];
+    }
+    extend(values, params);
+    return {
+      path: path,
+      rule: rule,
+      code: code,
+      message: message,
+      params: values,
+      value: value
+    };
+  }
+
+  /**
+   * Gets/sets the errors logged by `validates()` and `validateField()`.
+   *
+   * @param  Object errors The errors to set (e.g. `{}` to clear them).
+   * @return Object        The occured errors.
+   */
+  errors(errors) {
+    if (arguments.length) {
+      this._errors = extend({}, errors);
+    }
     return extend({}, this._errors);
   }
 
+  /**
+   * Gets the filtered data of the last `validates()` call (see `validate()`).
+   *
+   * @return mixed The filtered data or `undefined` if `validates()` hasn't been called yet.
+   */
+  data() {
+    return this._data;
+  }
+
   /**
    * Checks a single value against a validation handler.
    *
@@ -410,18 +1502,96 @@ class Validator {
    * @return Promise         Returns a promise.
    */
   is(name, value, options, params) {
-    return co(function* () {
-      var not = false;
-      if (name.substring(0, 4) === 'not:') {
-        name = name.substring(4);
-        not = true;
-      }
+    return Runner.async(this._is(name, value, options, params, false));
+  }
+
+  /**
+   * Checks synchronously a single value against a validation handler.
+   *
+   * @see    Validator#is()
+   * @param  String  rule    The validation handler name.
+   * @param  mixed   value   The value to check.
+   * @param  Object  options The options object.
+   * @param  Object  params  The options object.
+   * @return Boolean         Returns `true` if the value is valid, `false` otherwise.
+   * @throws Error           If an asynchronous handler is met.
+   */
+  isSync(name, value, options, params) {
+    return Runner.sync(this._is(name, value, options, params, true));
+  }
+
+  /**
+   * The `is()` generator.
+   *
+   * @see    Validator#is()
+   * @param  Boolean sync Whether the checker must be called synchronously or not.
+   */
+  *_is(name, value, options, params, sync) {
+    var not = false;
+    if (name.substring(0, 4) === 'not:') {
+      name = name.substring(4);
+      not = true;
+    }
+    var result;
+    if (this.constructor._composites[name]) {
+      result = yield* this._composite(name, value, options, params, sync);
+    } else {
       var handlers = this.get(name);
-      var checker = this.constructor.classes().checker;
-      var result = yield checker.check(value, handlers, options, params)
+      var checker = this._classes.checker;
+      if (sync) {
+        result = checker.checkSync(value, handlers, options, params);
+      } else {
+        result = yield checker.check(value, handlers, options, params);
+      }
+    }
+    return result !== not;
+  }
 
-      return result !== not;
-    }.bind(this));
+  /**
+   * Checks a single value against a composite rule (i.e. `anyOf`, `allOf`, `oneOf` or `noneOf`).
+   *
+   * The `'rules'` option is the list of branches to combine, each branch being a rules definition
+   * (see `Validator.normalize()`) which passes when all its rules pass. For example:
+   * {{{
+   * validator.rule('contact', {
+   *   anyOf: { rules: ['email', ['phone', { lengthMin: { length: 10 } }]] }
+   * });
+   * }}}
+   *
+   * The checked branches are reported in `params.branches` as `{ rules, valid, failures }` objects
+   * and their rule names in `params.rules` for error messages.
+   *
+   * @param  String  name    The composite rule name.
+   * @param  mixed   value   The value to check.
+   * @param  Object  options The options object.
+   * @param  Object  params  A result object with parameters ready to be displayed.
+   * @param  Boolean sync    Whether the checker must be called synchronously or not.
+   * @return Boolean         Returns `true` if the value is valid, `false` otherwise.
+   */
+  *_composite(name, value, options, params, sync) {
+    options = options || {};
+    params = params || {};
+    var branches = [];
+
+    for (var branch of options.rules || []) {
+      var rules = this.constructor.normalize(branch, this.parse.bind(this));
+      var failures = [];
+      for (var rule in rules) {
+        var ok = yield* this._is(rule, value, extend({ data: options.data, field: options.field }, rules[rule]), {}, sync);
+        if (!ok) {
+          failures.push(rule);
+        }
+      }
+      branches.push({ rules: Object.keys(rules), valid: !failures.length, failures: failures });
+    }
+    params.branches = branches;
+    params.rules = branches.map(function(branch) {
+      return branch.rules.join(' & ');
+    }).join('`, `');
+
+    return this.constructor._composites[name](branches.filter(function(branch) {
+      return branch.valid;
+    }).length, branches.length);
   }
 
   /**
@@ -438,20 +1608,23 @@ class Validator {
       result[base ? base : '0'] = data;
       return result;
     }
+    if (data === null || typeof data !== 'object') {
+      return {};
+    }
     path = path.slice();
     var field = path.shift();
     var key, value;
 
     if (field === '*') {
       var values = {};
-      data = (data && typeof data[Symbol.iterator] === 'function') ? (Array.isArray(data) ? data.entries() : data) : Object.entries(data);
+      data = typeof data[Symbol.iterator] === 'function' ? (Array.isArray(data) ? data.entries() : data) : Object.entries(data);
       for ([key, value] of data) {
         extend(values, this.values(value, path, base + '.' + key));
       }
       return values;
     }
 
-    value = (data && typeof data.get === 'function') ? data.get(field) : data[field];
+    value = typeof data.get === 'function' ? data.get(field) : data[field];
 
     if (value === undefined) {
       return {};
@@ -464,6 +1637,91 @@ class Validator {
     }
   }
 
+  /**
+   * Returns the paths of the missing values of a `*` field path whose parent exists.
+   *
+   * Example:
+   * {{{
+   * Validator.missing({ items: [{ sku: 'a' }, { qty: 1 }] }, ['items', '*', 'sku']); // ['items.1.sku']
+   * }}}
+   *
+   * @param  Object data The data.
+   * @param  Array  path An array of field names.
+   * @return Array       The dotted paths of the missing values.
+   */
+  static missing(data, path) {
+    var last = path[path.length - 1];
+    if (path.indexOf('*') === -1 || last === '*') {
+      return [];
+    }
+    var parents = this.values(data, path.slice(0, -1));
+    var result = [];
+    for (var key in parents) {
+      var parent = parents[key];
+      if (parent && typeof parent === 'object' && Path.get(parent, last) === undefined) {
+        result.push(key + '.' + last);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Checks if a validation handler is implicit (i.e. checked against missing values).
+   *
+   * @see    Checker.implicit()
+   * @param  String  name A validation handler name.
+   * @return Boolean
+   */
+  implicit(name) {
+    if (name.substring(0, 4) === 'not:') {
+      name = name.substring(4);
+    }
+    var checker = this._classes.checker;
+    return checker.implicit(name);
+  }
+
+  /**
+   * Returns the paths of the values which are not covered by a list of field paths.
+   *
+   * Plain objects and arrays are walked as long as some field paths are defined under them, values of
+   * fields without sub fields are considered as a whole.
+   *
+   * @param  Object data   The data.
+   * @param  Array  fields A list of dotted field paths (can contain `*`).
+   * @return Array         The dotted paths of the unknown values.
+   */
+  static unknowns(data, fields) {
+    var patterns = fields.map(function(field) {
+      return field.split('.');
+    });
+    var result = [];
+    var walk = function(data, path) {
+      var keys;
+      if (Array.isArray(data)) {
+        keys = Object.keys(data);
+      } else if (data !== null && typeof data === 'object' && [Object.prototype, null].indexOf(Object.getPrototypeOf(data)) !== -1) {
+        keys = Object.keys(data);
+      } else {
+        return;
+      }
+      for (var key of keys) {
+        var current = path.concat(key);
+        var matches = patterns.filter(function(pattern) {
+          return pattern.length >= current.length && current.every(function(name, i) {
+            return pattern[i] === '*' || pattern[i] === name;
+          });
+        });
+        if (!matches.length) {
+          result.push(current.join('.'));
+        } else if (matches.some(function(pattern) { return pattern.length > current.length; })) {
+          walk(data[key], current);
+        }
+      }
+    };
+    walk(data, []);
+    return result;
+  }
+
   /**
    * Gets/sets a particular error message.
    *
@@ -475,7 +1733,7 @@ class Validator {
     if (arguments.length === 2) {
       return this._messages[name] = message;
     }
-    var checker = this.constructor.classes().checker;
+    var checker = this._classes.checker;
     return this._messages[name] !== undefined ? this._messages[name] : checker.message(name);
   }
 
@@ -496,7 +1754,7 @@ class Validator {
         this._messages = messages;
       }
     }
-    var checker = this.constructor.classes().checker;
+    var checker = this._classes.checker;
 
     return extend({}, checker.messages(), this._messages);
   }
@@ -514,6 +1772,49 @@ class Validator {
     return this._error;
   }
 
+  /**
+   * Registers a plugin for this validator only (see `Checker#use()`).
+   *
+   * The plugin is registered in a dedicated checker registry which inherits from the one the
+   * validator is bound to, so other validators are not affected.
+   *
+   * @param  mixed     plugin  The plugin object or function.
+   * @param  Object    options The plugin options.
+   * @return Validator         Returns `this`.
+   */
+  use(plugin, options) {
+    if (!this._scoped) {
+      var checker = this._classes.checker;
+      var parent = typeof checker === 'function' ? checker.instance() : checker;
+      this._classes.checker = new parent.constructor({ parent: parent });
+      this._scoped = true;
+    }
+    this._classes.checker.use(plugin, options);
+    return this;
+  }
+
+  /**
+   * Returns the checker registry the validator is bound to.
+   *
+   * @return Checker The checker registry.
+   */
+  checker() {
+    return this._classes.checker;
+  }
+
+  /**
+   * Gets/sets the logged errors format.
+   *
+   * @param  String mode The errors mode to set (i.e. `'message'` or `'object'`).
+   * @return String      The errors mode.
+   */
+  errorMode(mode) {
+    if (arguments.length) {
+      return this._errorMode = mode;
+    }
+    return this._errorMode;
+  }
+
   /**
    * Gets/sets the validator meta data.
    *
@@ -529,7 +1830,60 @@ class Validator {
 }
 
 Validator._classes = {
-  checker: Checker
+  checker: Checker,
+  sanitizer: Sanitizer
 }
 
+/**
+ * The composite rules, each one deciding from the number of valid branches and the number of branches.
+ *
+ * @var Object
+ */
+Validator._composites = {
+  anyOf: function(valid, total) {
+    return valid > 0;
+  },
+  allOf: function(valid, total) {
+    return valid === total;
+  },
+  oneOf: function(valid, total) {
+    return valid === 1;
+  },
+  noneOf: function(valid, total) {
+    return valid === 0;
+  }
+};
+
+/**
+ * The rule options referencing other fields, indexed by handler name (see `validateField()`).
+ *
+ * @var Object
+ */
+Validator._references = {
+  different: ['key'],
+  equalTo: ['key'],
+  gt: ['key'],
+  gte: ['key'],
+  lt: ['key'],
+  lte: ['key'],
+  presentWith: ['fields'],
+  requiredIf: ['key'],
+  requiredUnless: ['key'],
+  requiredWith: ['fields'],
+  requiredWithAll: ['fields'],
+  requiredWithout: ['fields'],
+  sameAs: ['key']
+};
+
+/**
+ * The rule options which are not reported as error parameters.
+ *
+ * @var Array
+ */
+Validator._reserved = [
+  'message', 'required', 'skipNull', 'skipEmpty', 'format', 'not', 'on', 'when', 'bail', 'code', 'validator',
+  'data', 'field', 'events', 'abortEarly', 'strict', 'rules', 'concurrency', 'timeout', 'signal',
+  'partial', 'current', 'path'
+];
+
 module.exports = Validator;